@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * Purge the persistent transform cache
+ * Usage: `morph-clear-cache [root]` (defaults to the current directory)
+ * @fileoverview CLI for clearing node_modules/.vite/vite-plugin-morph
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { resolve } from 'path';
+import { clearCache, getCacheDirectory } from '../src/utils/cache.js';
+
+const root = resolve(process.argv[2] || process.cwd());
+
+clearCache({ root });
+console.log(`[vite-plugin-morph] Cleared ${getCacheDirectory(root)}`);
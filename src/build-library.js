@@ -21,6 +21,7 @@ import { info } from './utils/logger.js';
  * @param {string} [config.outputDir='dist/library'] - Output directory
  * @param {string} [config.rootDir=process.cwd()] - Project root directory
  * @param {Object} [config.morphPlugin] - Morph plugin options
+ * @param {{enabled: boolean, workers?: number}} [config.morphPlugin.parallel] - Process components on worker threads
  * @returns {Promise<void>}
  *
  * @example
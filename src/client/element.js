@@ -0,0 +1,157 @@
+/**
+ * Custom Element runtime for morph components
+ * Registers components imported with `?element` as native Custom Elements
+ * @fileoverview Runtime helpers for @peter.naydenov/vite-plugin-morph/element
+ * @browser
+ */
+
+/* global CSSStyleSheet, HTMLElement, customElements */
+
+import { createStyleElement, toTrustedHTML } from './security.js';
+
+const IDENTIFIER = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+const PLACEHOLDER = /\{\{([^}]*)\}\}/g;
+
+/**
+ * Collect the data fields a component reads
+ * Handshake keys plus the top-level fields of template placeholders.
+ * @param {{template?: string, handshake?: Object}} [templateObject={}] - `template` export of a morph module
+ * @returns {string[]} Field names
+ */
+export function getDataFields(templateObject = {}) {
+  const fields = new Set(Object.keys(templateObject.handshake || {}));
+
+  for (const [, content] of (templateObject.template || '').matchAll(
+    PLACEHOLDER
+  )) {
+    const field = content.split(':')[0].trim().split('.')[0];
+    if (IDENTIFIER.test(field)) {
+      fields.add(field);
+    }
+  }
+
+  return Array.from(fields);
+}
+
+/**
+ * Convert a data field to its attribute name (`userName` → `user-name`)
+ * @param {string} field - Field name
+ * @returns {string} Attribute name
+ */
+export function toAttributeName(field) {
+  return field.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Add component CSS to a shadow root
+ * Constructable stylesheets are shared by every instance, browsers without
+ * them get a `<style>` element per instance.
+ * @param {ShadowRoot} shadowRoot - Shadow root
+ * @param {string} css - Component CSS
+ * @param {{sheet: CSSStyleSheet|null}} cache - Stylesheet shared by the element class
+ */
+function adoptStyles(shadowRoot, css, cache) {
+  if (!css) return;
+
+  if (
+    'adoptedStyleSheets' in shadowRoot &&
+    typeof CSSStyleSheet === 'function'
+  ) {
+    if (!cache.sheet) {
+      cache.sheet = new CSSStyleSheet();
+      cache.sheet.replaceSync(css);
+    }
+    shadowRoot.adoptedStyleSheets = [cache.sheet];
+    return;
+  }
+
+  const style = createStyleElement();
+  style.textContent = css;
+  shadowRoot.appendChild(style);
+}
+
+/**
+ * Register a morph component as a Custom Element
+ * Observed attributes and element properties feed the render data. Component
+ * CSS lives in the shadow root, theme variables are inherited from the
+ * document because custom properties cross the shadow boundary.
+ * @param {string} tagName - Custom element name
+ * @param {{default: Function, template?: Object, css?: string}} component - Module namespace of a `.morph` file
+ * @returns {CustomElementConstructor} Element class (the registered one if the name is taken)
+ */
+export function defineMorphElement(tagName, component) {
+  const existing = customElements.get(tagName);
+  if (existing) {
+    return existing;
+  }
+
+  const render = component.default;
+  const fields = getDataFields(component.template);
+  const attributes = new Map(
+    fields.map((field) => [toAttributeName(field), field])
+  );
+  const styles = { sheet: null };
+
+  class MorphElement extends HTMLElement {
+    static get observedAttributes() {
+      return Array.from(attributes.keys());
+    }
+
+    constructor() {
+      super();
+      this._data = {};
+      this.attachShadow({ mode: 'open' });
+      adoptStyles(this.shadowRoot, component.css, styles);
+      this._content = document.createElement('div');
+      this._content.style.display = 'contents';
+      this.shadowRoot.appendChild(this._content);
+    }
+
+    /**
+     * Current render data
+     * @type {Object}
+     */
+    get data() {
+      return { ...this._data };
+    }
+
+    set data(value) {
+      this._data = { ...value };
+      this.update();
+    }
+
+    connectedCallback() {
+      this.update();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      this._data[attributes.get(name)] = value;
+      this.update();
+    }
+
+    /**
+     * Render the component into the shadow root
+     */
+    update() {
+      if (!this.isConnected) return;
+      this._content.innerHTML = toTrustedHTML(render('render', this._data));
+    }
+  }
+
+  // Fields become properties, unless they would hide existing ones (title, data)
+  for (const field of fields) {
+    if (field in MorphElement.prototype) continue;
+    Object.defineProperty(MorphElement.prototype, field, {
+      get() {
+        return this._data[field];
+      },
+      set(value) {
+        this._data[field] = value;
+        this.update();
+      },
+    });
+  }
+
+  customElements.define(tagName, MorphElement);
+  return MorphElement;
+}
@@ -5,7 +5,19 @@
  * @browser
  */
 
-/* global fetch */
+/* global fetch, CSSStyleSheet */
+
+import {
+  applyNonce,
+  createStyleElement,
+  getStyleNonce,
+  setStyleNonce,
+  toTrustedHTML,
+} from './security.js';
+import { componentStyleId } from './style-id.js';
+
+// Generated component modules apply the nonce to the styles they inject
+export { applyNonce, getStyleNonce };
 
 // Configuration populated by plugin (will be set externally)
 let morphConfig = {
@@ -17,6 +29,12 @@ let morphConfig = {
     directory: 'src/styles',
     entry: 'main.css',
   },
+  layers: {
+    enabled: false,
+    order: [],
+  },
+  injection: 'style', // 'style' (one element per component) or 'adopted'
+  themeMedia: {}, // { themeName: mediaQuery }, first match wins over defaultTheme
 };
 
 // Theme registry - populated by libraries on load
@@ -26,6 +44,18 @@ let themeContent = {}; // {libraryName: {themeName: {variables, raw}}}
 // Components CSS registry - populated by libraries and host components
 let componentsCSS = {}; // { 'Component/source': '.scoped { ... }' }
 
+// Mounted components - the first mount owns the component CSS, also when the
+// module injected it on import, and the last unmount removes it
+let mountedComponents = new Map(); // { componentName: count }
+let mountedElements = new WeakMap(); // { element: instance }
+
+// Constructable stylesheets - one shared sheet per layer (injection: 'adopted')
+let adoptedSheets = new Map(); // { layerName: {sheet, entries: [{key, count}]} }
+
+// Automatic theme selection - themesControl.set() wins until themesControl.clear()
+let themeOverride = null; // Theme name chosen with themesControl.set()
+let mediaWatchers = []; // [{mediaQuery, listener}] of themeMedia conditions
+
 // Initialize theme registry from global (set by libraries)
 function initializeThemeRegistry() {
   if (typeof window === 'undefined') return;
@@ -49,19 +79,157 @@ function initializeComponentsCSS() {
   }
 }
 
+// Check if CSS goes to shared constructable stylesheets instead of elements
+function usesAdoptedStyleSheets() {
+  return (
+    morphConfig.injection === 'adopted' &&
+    typeof document !== 'undefined' &&
+    'adoptedStyleSheets' in document &&
+    typeof CSSStyleSheet === 'function'
+  );
+}
+
+// Get the shared sheet of a layer, adopting it by the document on first use
+function getLayerSheet(layerName) {
+  let layerSheet = adoptedSheets.get(layerName);
+  if (!layerSheet) {
+    layerSheet = { sheet: new CSSStyleSheet(), entries: [] };
+    adoptedSheets.set(layerName, layerSheet);
+    document.adoptedStyleSheets = [
+      ...document.adoptedStyleSheets,
+      layerSheet.sheet,
+    ];
+  }
+  return layerSheet;
+}
+
+// Replace the rules of one entry (component or theme) in a layer sheet.
+// Only that entry's rules are deleted and inserted, so HMR swaps don't
+// reparse the other components. Empty CSS removes the entry.
+function setAdoptedRules(layerName, key, css) {
+  const { sheet, entries } = getLayerSheet(layerName);
+  const position = entries.findIndex((entry) => entry.key === key);
+  const end = position === -1 ? entries.length : position;
+  let start = 0;
+  for (let i = 0; i < end; i++) {
+    start += entries[i].count;
+  }
+
+  if (position !== -1) {
+    for (let i = 0; i < entries[position].count; i++) {
+      sheet.deleteRule(start);
+    }
+  }
+
+  const parsed = new CSSStyleSheet();
+  parsed.replaceSync(css || '');
+  const rules = Array.from(parsed.cssRules);
+  rules.forEach((rule, index) => sheet.insertRule(rule.cssText, start + index));
+
+  if (position === -1) {
+    if (rules.length > 0) entries.push({ key, count: rules.length });
+  } else if (rules.length > 0) {
+    entries[position].count = rules.length;
+  } else {
+    entries.splice(position, 1);
+  }
+}
+
+/**
+ * Adopt the shared layer stylesheets into a shadow root
+ * Components rendered inside the shadow root get the same component and
+ * theme CSS as the document, without copying it. Needs `injection: 'adopted'`.
+ * @param {ShadowRoot} shadowRoot - Shadow root
+ * @returns {boolean} True if the stylesheets were adopted
+ */
+export function adoptMorphStyles(shadowRoot) {
+  if (!usesAdoptedStyleSheets() || !('adoptedStyleSheets' in shadowRoot)) {
+    return false;
+  }
+  const sheets = Array.from(adoptedSheets.values(), (entry) => entry.sheet);
+  shadowRoot.adoptedStyleSheets = [
+    ...shadowRoot.adoptedStyleSheets.filter((sheet) => !sheets.includes(sheet)),
+    ...sheets,
+  ];
+  return true;
+}
+
+// Write theme variables to their style element or the themes layer sheet
+function setThemeStyle(styleId, cssContent) {
+  const css = layerCss(cssContent, 'themes');
+  if (usesAdoptedStyleSheets()) {
+    setAdoptedRules('themes', styleId, css);
+    return;
+  }
+
+  let style = document.getElementById(styleId);
+  if (!style) {
+    style = createStyleElement(styleId);
+    document.head.appendChild(style);
+  }
+  style.textContent = css;
+}
+
 // Ensure a style element exists for a component, create if needed, update with CSS
 function ensureStyleElement(componentName, cssRule) {
-  const styleId = 'morph-css-' + componentName.replace(/[^a-zA-Z0-9]/g, '-');
+  if (usesAdoptedStyleSheets()) {
+    // Component CSS arrives layered, only the order statement is missing
+    ensureLayerOrder();
+    setAdoptedRules('components', componentName, cssRule);
+    return null;
+  }
+
+  const styleId = componentStyleId(componentName);
   let style = document.getElementById(styleId);
   if (!style) {
-    style = document.createElement('style');
-    style.id = styleId;
+    style = createStyleElement(styleId);
     document.head.appendChild(style);
   }
   style.textContent = cssRule;
   return style;
 }
 
+// Remove the style element of a component
+function removeStyleElement(componentName) {
+  if (usesAdoptedStyleSheets()) {
+    setAdoptedRules('components', componentName, '');
+    return;
+  }
+
+  const style = document.getElementById(componentStyleId(componentName));
+  if (style) {
+    style.remove();
+  }
+}
+
+// Check if the CSS of a component is already in the document
+function hasStyleElement(componentName) {
+  if (usesAdoptedStyleSheets()) {
+    const entries = adoptedSheets.get('components')?.entries || [];
+    return entries.some((entry) => entry.key === componentName);
+  }
+  return !!document.getElementById(componentStyleId(componentName));
+}
+
+// Make sure the layer order statement is the first stylesheet in the document
+function ensureLayerOrder() {
+  const layers = morphConfig.layers || {};
+  if (!layers.enabled || typeof document === 'undefined') return false;
+
+  if (!document.getElementById('morph-layer-order')) {
+    const order = createStyleElement('morph-layer-order');
+    order.textContent = `@layer ${layers.order.join(', ')};`;
+    document.head.prepend(order);
+  }
+  return true;
+}
+
+// Wrap CSS in a cascade layer when css.layers is enabled
+function layerCss(css, layerName) {
+  if (!ensureLayerOrder()) return css;
+  return `@layer ${layerName} { ${css} }`;
+}
+
 // Initialize on module load
 initializeThemeRegistry();
 initializeComponentsCSS();
@@ -73,6 +241,11 @@ if (typeof import.meta !== 'undefined' && import.meta.env) {
     if (pluginConfig && pluginConfig.default) {
       morphConfig.globalCSS =
         pluginConfig.default.globalCSS || morphConfig.globalCSS;
+      morphConfig.layers = pluginConfig.default.layers || morphConfig.layers;
+      morphConfig.injection =
+        pluginConfig.default.injection || morphConfig.injection;
+      morphConfig.themeMedia =
+        pluginConfig.default.themeMedia || morphConfig.themeMedia;
     }
   } catch (e) {
     // Config not available, use defaults
@@ -98,6 +271,16 @@ if (typeof import.meta !== 'undefined' && import.meta.env) {
 export function setMorphConfig(config) {
   morphConfig = { ...morphConfig, ...config };
 
+  // CSP nonce for every style the runtime and component modules inject
+  if ('nonce' in config) {
+    setStyleNonce(config.nonce);
+  }
+
+  // New media conditions are watched on the next theme application
+  if ('themeMedia' in config) {
+    unwatchThemeMedia();
+  }
+
   // Register componentsCSS if provided (from library or host)
   if (config.componentsCSS && typeof window !== 'undefined') {
     window.__MORPH_COMPONENTS_CSS__ = window.__MORPH_COMPONENTS_CSS__ || {};
@@ -177,7 +360,7 @@ export function createStyleLink(href, id, rel = 'stylesheet') {
   }
 
   // Create new link element
-  const link = document.createElement('link');
+  const link = applyNonce(document.createElement('link'));
   link.id = id;
   link.rel = rel;
   link.href = `${href}?v=${Date.now()}`;
@@ -308,8 +491,7 @@ async function loadLocalCss() {
         document.head.removeChild(existing);
       }
 
-      const style = document.createElement('style');
-      style.id = 'morph-local-css';
+      const style = createStyleElement('morph-local-css');
       style.textContent = css;
       document.head.appendChild(style);
     }
@@ -369,16 +551,10 @@ if (typeof window !== 'undefined' && import.meta.hot) {
       if (themes && themes[themeName]) {
         const { variables } = themes[themeName];
         const styleId = `morph-theme-${libraryName.replace('@', '').replace('/', '-')}`;
-        let style = document.getElementById(styleId);
-        if (!style) {
-          style = document.createElement('style');
-          style.id = styleId;
-          document.head.appendChild(style);
-        }
         const cssContent = `:root { ${Object.entries(variables)
           .map(([p, v]) => `${p}: ${v};`)
           .join(' ')} }`;
-        style.textContent = cssContent;
+        setThemeStyle(styleId, cssContent);
       }
     }
   });
@@ -391,7 +567,7 @@ if (typeof window !== 'undefined' && import.meta.hot) {
  */
 async function loadCssAsync(url) {
   return new Promise((resolve, reject) => {
-    const link = document.createElement('link');
+    const link = applyNonce(document.createElement('link'));
     link.rel = 'stylesheet';
     link.href = url;
     link.onload = () => resolve();
@@ -469,20 +645,13 @@ function applyThemeToLibrary(libraryName, themeName) {
 
   // Create or update theme style element
   const styleId = `morph-theme-${libraryName.replace('@', '').replace('/', '-')}`;
-  let style = document.getElementById(styleId);
-
-  if (!style) {
-    style = document.createElement('style');
-    style.id = styleId;
-    document.head.appendChild(style);
-  }
 
   // Build :root CSS block with variables
   const cssContent = `:root { ${Object.entries(variables)
     .map(([prop, value]) => `${prop}: ${value};`)
     .join(' ')} }`;
 
-  style.textContent = cssContent;
+  setThemeStyle(styleId, cssContent);
 
   return true;
 }
@@ -513,18 +682,101 @@ function applyProjectDefaultTheme(libraryName) {
   return false;
 }
 
+/**
+ * Find the first theme whose media condition matches
+ * @returns {string|null} Theme name, null when no condition matches
+ */
+function getPreferredTheme() {
+  if (
+    typeof window === 'undefined' ||
+    typeof window.matchMedia !== 'function'
+  ) {
+    return null;
+  }
+
+  for (const [themeName, query] of Object.entries(
+    morphConfig.themeMedia || {}
+  )) {
+    if (window.matchMedia(query).matches) {
+      return themeName;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply the theme in effect to a library
+ * An explicit themesControl.set() wins, then the first matching media
+ * condition, then the project's default theme.
+ * @param {string} libraryName - Library name
+ * @returns {boolean} True if a theme was applied
+ */
+function applyActiveTheme(libraryName) {
+  const themeName = themeOverride || getPreferredTheme();
+  if (themeName && applyThemeToLibrary(libraryName, themeName)) {
+    return true;
+  }
+  return applyProjectDefaultTheme(libraryName);
+}
+
+/**
+ * Apply the theme in effect to the host project and every library
+ */
+function applyActiveThemeToAll() {
+  const libraries = new Set([
+    'host',
+    ...themeRegistry.map((registry) => registry.libraryName),
+  ]);
+  for (const libraryName of libraries) {
+    applyActiveTheme(libraryName);
+  }
+}
+
+/**
+ * Follow OS preference changes (prefers-color-scheme, prefers-contrast)
+ * Listeners are added once per set of themeMedia conditions.
+ */
+function watchThemeMedia() {
+  if (
+    mediaWatchers.length > 0 ||
+    typeof window === 'undefined' ||
+    typeof window.matchMedia !== 'function'
+  ) {
+    return;
+  }
+
+  for (const query of Object.values(morphConfig.themeMedia || {})) {
+    const mediaQuery = window.matchMedia(query);
+    const listener = () => {
+      if (!themeOverride) {
+        applyActiveThemeToAll();
+      }
+    };
+    mediaQuery.addEventListener('change', listener);
+    mediaWatchers.push({ mediaQuery, listener });
+  }
+}
+
+/**
+ * Stop following OS preference changes
+ */
+function unwatchThemeMedia() {
+  for (const { mediaQuery, listener } of mediaWatchers) {
+    mediaQuery.removeEventListener('change', listener);
+  }
+  mediaWatchers = [];
+}
+
 /**
  * Apply default theme (per-library during applyStyles calls)
+ * Themes tagged with a matching media condition replace the default.
  * @param {Object} config - Morph config
  */
 function applyDefaultTheme(config) {
-  // Try to apply project's default theme to this library
-  if (config.libraryName) {
-    applyProjectDefaultTheme(config.libraryName);
-  } else {
-    // Host project (no libraryName) - apply to 'host' library
-    applyProjectDefaultTheme('host');
-  }
+  watchThemeMedia();
+
+  // Host project (no libraryName) - apply to 'host' library
+  applyActiveTheme(config.libraryName || 'host');
 }
 
 /**
@@ -548,7 +800,8 @@ export const themesControl = {
 
   /**
    * Apply theme to all libraries that have it
-   * Tries 'host' (local themes) first, then library themes
+   * Tries 'host' (local themes) first, then library themes. The theme
+   * overrides media conditions until clear() is called.
    * @param {string} themeName - Theme name to apply
    * @returns {number} Number of libraries the theme was applied to
    */
@@ -572,15 +825,35 @@ export const themesControl = {
       }
     }
 
+    if (applied > 0) {
+      themeOverride = themeName;
+    }
     return applied;
   },
 
   /**
-   * Get current project's default theme name
-   * @returns {string} Default theme name
+   * Drop the theme chosen with set() and apply the theme of the matching
+   * media condition (or the default theme) again
+   */
+  clear() {
+    themeOverride = null;
+    if (typeof document !== 'undefined') {
+      applyActiveThemeToAll();
+    }
+  },
+
+  /**
+   * Get the theme in effect: the one chosen with set(), the one of the
+   * first matching media condition or the project's default theme
+   * @returns {string} Theme name
    */
   getCurrent() {
-    return morphConfig.defaultTheme || 'default';
+    return (
+      themeOverride ||
+      getPreferredTheme() ||
+      morphConfig.defaultTheme ||
+      'default'
+    );
   },
 
   /**
@@ -688,6 +961,108 @@ export function updateComponentCSS(componentName, cssRule, source = 'host') {
   ensureStyleElement(componentName, cssRule);
 }
 
+/**
+ * Find the registered CSS of a component
+ * @param {string} componentName - Component name
+ * @returns {string|null} CSS rule, host registrations first
+ */
+function findComponentCSS(componentName) {
+  initializeComponentsCSS();
+  if (componentsCSS[componentName + '/host']) {
+    return componentsCSS[componentName + '/host'];
+  }
+  const key = Object.keys(componentsCSS).find((entry) =>
+    entry.startsWith(componentName + '/')
+  );
+  return key ? componentsCSS[key] : null;
+}
+
+/**
+ * Mount a morph component into a DOM element
+ * CSS missing from the document is injected on the first mount. CSS the
+ * module injected on import is taken over instead, so in both cases it is
+ * removed when the last mounted instance of the component unmounts. Mounting
+ * into an element that already holds a component unmounts that component
+ * first.
+ * @param {string|Element} selector - CSS selector or target element
+ * @param {Function} Component - Default export of a `.morph` module
+ * @param {Object} [data={}] - Render data
+ * @returns {{element: Element, update: (data?: Object) => void, unmount: () => void}} Mounted instance
+ */
+export function renderComponent(selector, Component, data = {}) {
+  if (typeof document === 'undefined') {
+    throw new Error('renderComponent requires a DOM');
+  }
+  if (typeof Component !== 'function') {
+    throw new TypeError(
+      'renderComponent expects the default export of a .morph module'
+    );
+  }
+
+  const element =
+    typeof selector === 'string' ? document.querySelector(selector) : selector;
+  if (!element) {
+    throw new Error(`renderComponent: no element matches "${selector}"`);
+  }
+
+  mountedElements.get(element)?.unmount();
+
+  const componentName = Component.componentName || null;
+  if (componentName) {
+    const count = mountedComponents.get(componentName) || 0;
+    if (count === 0 && !hasStyleElement(componentName)) {
+      const cssRule = Component.css || findComponentCSS(componentName);
+      if (cssRule) {
+        ensureStyleElement(componentName, cssRule);
+      }
+    }
+    mountedComponents.set(componentName, count + 1);
+  }
+
+  let currentData = data;
+  let mounted = true;
+  element.innerHTML = toTrustedHTML(Component('render', currentData));
+
+  const instance = {
+    element,
+
+    /**
+     * Render the component again
+     * @param {Object} [nextData] - New render data (defaults to the last data)
+     */
+    update(nextData = currentData) {
+      if (!mounted) {
+        throw new Error('Cannot update an unmounted component');
+      }
+      currentData = nextData;
+      element.innerHTML = toTrustedHTML(Component('render', currentData));
+    },
+
+    /**
+     * Clear the element and release the component CSS
+     */
+    unmount() {
+      if (!mounted) return;
+      mounted = false;
+      element.innerHTML = toTrustedHTML('');
+      mountedElements.delete(element);
+
+      if (componentName) {
+        const count = mountedComponents.get(componentName) - 1;
+        if (count === 0) {
+          mountedComponents.delete(componentName);
+          removeStyleElement(componentName);
+        } else {
+          mountedComponents.set(componentName, count);
+        }
+      }
+    },
+  };
+
+  mountedElements.set(element, instance);
+  return instance;
+}
+
 // HMR handler for CSS changes in morph files
 if (typeof window !== 'undefined' && import.meta && import.meta.hot) {
   import.meta.hot.on('morph-css-update', (data) => {
@@ -0,0 +1,121 @@
+/**
+ * Content Security Policy helpers
+ * Nonces for injected `<style>`/`<link>` elements and a Trusted Types policy
+ * for the HTML the runtime writes
+ * @fileoverview CSP support shared by the client runtime and services
+ * @browser
+ */
+
+/* global trustedTypes */
+
+/**
+ * Selector of the nonce meta tag (same tag Vite writes for `html.cspNonce`)
+ * @type {string}
+ */
+export const NONCE_META_SELECTOR = 'meta[property="csp-nonce"]';
+
+/**
+ * Name of the Trusted Types policy, allow it with `trusted-types morph`
+ * @type {string}
+ */
+export const TRUSTED_TYPES_POLICY = 'morph';
+
+let htmlPolicy; // Created on first use, null without Trusted Types
+
+/**
+ * Set the nonce for injected styles
+ * Stored on `globalThis.__MORPH_NONCE__` so generated component modules and
+ * library bundles use it too.
+ * @param {string|null} nonce - CSP nonce (null clears it)
+ */
+export function setStyleNonce(nonce) {
+  if (nonce) {
+    globalThis.__MORPH_NONCE__ = nonce;
+  } else {
+    delete globalThis.__MORPH_NONCE__;
+  }
+}
+
+/**
+ * Get the nonce for injected styles
+ * An explicitly set nonce wins over `<meta property="csp-nonce" nonce="...">`.
+ * @returns {string|null} CSP nonce
+ */
+export function getStyleNonce() {
+  if (globalThis.__MORPH_NONCE__) {
+    return globalThis.__MORPH_NONCE__;
+  }
+  if (typeof document === 'undefined' || !document.querySelector) {
+    return null;
+  }
+
+  const meta = document.querySelector(NONCE_META_SELECTOR);
+  if (!meta) {
+    return null;
+  }
+  // Browsers hide the nonce attribute after parsing, the property keeps it
+  return (
+    meta.nonce || meta.getAttribute('nonce') || meta.getAttribute('content')
+  );
+}
+
+/**
+ * Apply the style nonce to an element
+ * @param {HTMLElement} element - `<style>` or `<link>` element
+ * @returns {HTMLElement} The element
+ */
+export function applyNonce(element) {
+  const nonce = getStyleNonce();
+  if (nonce) {
+    element.nonce = nonce;
+  }
+  return element;
+}
+
+/**
+ * Create a `<style>` element that passes the CSP
+ * @param {string} [id] - Element id
+ * @returns {HTMLStyleElement} Style element
+ */
+export function createStyleElement(id) {
+  const style = document.createElement('style');
+  if (id) {
+    style.id = id;
+  }
+  return applyNonce(style);
+}
+
+/**
+ * Create the `morph` Trusted Types policy
+ * The policy does not sanitize: `createHTML` returns the HTML unchanged,
+ * because rendered templates are application code.
+ * @returns {TrustedTypePolicy|null} Policy, null without Trusted Types or when
+ *   the CSP does not allow the policy name
+ */
+function createHtmlPolicy() {
+  if (typeof trustedTypes === 'undefined' || !trustedTypes.createPolicy) {
+    return null;
+  }
+  try {
+    return trustedTypes.createPolicy(TRUSTED_TYPES_POLICY, {
+      createHTML: (value) => value, // Passthrough, see above
+    });
+  } catch {
+    // Name missing from `trusted-types` or already taken: use plain strings
+    return null;
+  }
+}
+
+/**
+ * Convert rendered HTML for an `innerHTML` sink
+ * With Trusted Types the `morph` policy wraps the HTML without changing it.
+ * When the policy cannot be created, the HTML stays a plain string.
+ * @param {string} html - Rendered HTML
+ * @returns {string|TrustedHTML} Value accepted by `innerHTML`
+ */
+export function toTrustedHTML(html) {
+  if (htmlPolicy === undefined) {
+    htmlPolicy = createHtmlPolicy();
+  }
+  return htmlPolicy ? htmlPolicy.createHTML(html) : html;
+}
@@ -0,0 +1,18 @@
+/**
+ * Style element ids
+ * One id per component, shared by generated component modules, the client
+ * runtime, library bundles and renderToString
+ * @fileoverview Id of the `<style>` element holding the CSS of a `.morph` file
+ * @browser
+ */
+
+/**
+ * Get the id of the `<style>` element of a component or CSS-only file
+ * @param {string} name - Component name, or file name of a CSS-only file
+ * @returns {string} Element id, characters other than letters and digits become `-`
+ * @example
+ * componentStyleId('user.card'); // 'morph-css-user-card'
+ */
+export function componentStyleId(name) {
+  return 'morph-css-' + name.replace(/[^a-zA-Z0-9]/g, '-');
+}
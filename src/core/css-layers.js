@@ -0,0 +1,84 @@
+/**
+ * CSS cascade layers
+ * @fileoverview Wraps global, library, component and theme CSS in `@layer` blocks (specs/003-css-layers)
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+/**
+ * Layer each CSS source is emitted in
+ * @type {{global: string, libraries: string, components: string, themes: string}}
+ */
+export const LAYER_NAMES = {
+  global: 'global',
+  libraries: 'libraries',
+  components: 'components',
+  themes: 'themes',
+};
+
+/**
+ * Default layer precedence, lowest first
+ * @type {string[]}
+ */
+export const DEFAULT_LAYER_ORDER = [
+  'reset',
+  LAYER_NAMES.global,
+  LAYER_NAMES.libraries,
+  LAYER_NAMES.components,
+  LAYER_NAMES.themes,
+];
+
+/**
+ * Resolve the layer settings from plugin options
+ * @param {import('../types/index.d.ts').MorphPluginOptions} [options={}] - Plugin options
+ * @returns {{enabled: boolean, order: string[]}} Layer settings
+ */
+export function resolveLayerConfig(options = {}) {
+  const layers = options?.css?.layers || {};
+  return {
+    enabled: layers.enabled === true,
+    order:
+      Array.isArray(layers.order) && layers.order.length > 0
+        ? layers.order
+        : DEFAULT_LAYER_ORDER,
+  };
+}
+
+/**
+ * Create the `@layer` statement that fixes the precedence of the layers
+ * The first statement a document sees decides the order, so it leads every
+ * stylesheet the plugin emits.
+ * @param {string[]} order - Layer names, lowest precedence first
+ * @returns {string} Layer order statement
+ */
+export function createLayerOrderStatement(order) {
+  return `@layer ${order.join(', ')};`;
+}
+
+/**
+ * Wrap CSS in a named layer block
+ * @param {string} css - CSS content
+ * @param {string} layerName - Layer name
+ * @returns {string} Layered CSS (empty CSS stays empty)
+ */
+export function wrapInLayer(css, layerName) {
+  if (!css || !css.trim()) {
+    return css;
+  }
+  return `@layer ${layerName} {\n${css}\n}`;
+}
+
+/**
+ * Prepare a standalone stylesheet: order statement plus the layered CSS
+ * Returns the CSS unchanged when layers are disabled.
+ * @param {string} css - CSS content
+ * @param {string} layerName - Layer name
+ * @param {{enabled: boolean, order: string[]}} layers - Result of resolveLayerConfig
+ * @returns {string} Stylesheet content
+ */
+export function layerStylesheet(css, layerName, layers) {
+  if (!layers?.enabled || !css || !css.trim()) {
+    return css;
+  }
+  return `${createLayerOrderStatement(layers.order)}\n${wrapInLayer(css, layerName)}`;
+}
@@ -7,11 +7,39 @@
  */
 
 import postcss from 'postcss';
+import { glob } from 'glob';
 import autoprefixer from 'autoprefixer';
 import cssnano from 'cssnano';
 import postcssImport from 'postcss-import';
 import postcssNested from 'postcss-nested';
 import { debug, info, warn, error } from '../utils/logger.js';
+import { createMorphError, ErrorCodes } from './errors.js';
+import { isPreprocessedBlock } from './style-preprocessor.js';
+
+/**
+ * Collect the files a PostCSS result depends on
+ * `dir-dependency` messages (Tailwind content globs) add the directory and
+ * the files it matches, so they are watched like `dependency` files and
+ * the result is not cached even before the directory has matching files.
+ * @param {Array<Object>} messages - PostCSS result messages
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function collectDependencies(messages) {
+  const files = [];
+  for (const message of messages) {
+    if (message.type === 'dependency') {
+      files.push(message.file);
+    } else if (message.type === 'dir-dependency') {
+      const matches = await glob(message.glob || '**/*', {
+        cwd: message.dir,
+        absolute: true,
+        nodir: true,
+      });
+      files.push(message.dir, ...matches.sort());
+    }
+  }
+  return files;
+}
 
 /**
  * CSS Processing Service with PostCSS integration
@@ -24,6 +52,7 @@ export class CSSProcessor {
    * @param {boolean} [options.minify=false] - Enable CSS minification
    * @param {boolean} [options.sourceMaps=true] - Generate source maps
    * @param {boolean} [options.autoprefixer=true] - Enable autoprefixer
+   * @param {Array} [options.plugins] - PostCSS plugins replacing the built-in chain (host project config)
    */
   constructor(options = {}) {
     this.options = {
@@ -42,6 +71,10 @@ export class CSSProcessor {
    * @returns {import('postcss').Processor} Configured PostCSS processor
    */
   createProcessor() {
+    if (Array.isArray(this.options.plugins)) {
+      return postcss(this.options.plugins);
+    }
+
     const plugins = [];
 
     // Add import handling
@@ -78,7 +111,7 @@ export class CSSProcessor {
    * @param {Object} [options={}] - Processing options
    * @param {string} [options.from] - Source file path
    * @param {string} [options.to] - Output file path
-   * @returns {Promise<{css: string, map: Object, warnings: Array}>} Processed CSS result
+   * @returns {Promise<{css: string, map: Object, warnings: Array, dependencies: string[]}>} Processed CSS result
    */
   async process(css, options = {}) {
     try {
@@ -98,6 +131,8 @@ export class CSSProcessor {
         css: result.css,
         map: result.map ? JSON.parse(result.map.toString()) : null,
         warnings: result.warnings,
+        // Files reported by plugins (Tailwind, postcss-import) for watching
+        dependencies: await collectDependencies(result.messages),
       };
     } catch (err) {
       error(`CSS processing failed: ${err.message}`);
@@ -163,3 +198,51 @@ export function validateCss(css) {
   const processor = getCssProcessor();
   return processor.validate(css);
 }
+
+/**
+ * Run component style blocks through the host project's PostCSS plugins
+ * Blocks are processed one by one with the morph file as `from`, so relative
+ * imports and content-scanning plugins resolve from the component. `lang`
+ * blocks are skipped, Vite's preprocessCSS already applied the PostCSS config.
+ * @param {import('../types/index.d.ts').StyleBlock[]} blocks - Style blocks (plain CSS)
+ * @param {string} filePath - Morph file path
+ * @param {Array} [plugins=[]] - PostCSS plugins from `loadPostCSSConfig`
+ * @returns {Promise<{blocks: import('../types/index.d.ts').StyleBlock[], dependencies: string[]}>}
+ *   Processed blocks and files reported by the plugins
+ * @throws {import('../types/index.d.ts').MorphPluginError} When a plugin fails
+ */
+export async function processStyleBlocks(blocks, filePath, plugins = []) {
+  if (plugins.length === 0) {
+    return { blocks, dependencies: [] };
+  }
+
+  const processor = getCssProcessor({ plugins, sourceMaps: false });
+  const dependencies = new Set();
+  const processed = [];
+
+  for (const block of blocks) {
+    if (!block.css.trim() || isPreprocessedBlock(block)) {
+      processed.push(block);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await processor.process(block.css, { from: filePath });
+    } catch (processError) {
+      throw createMorphError(
+        `PostCSS failed for <style> block: ${processError.message.replace(/^CSS processing error: /, '')}`,
+        filePath,
+        null,
+        ErrorCodes.CSS_PROCESSING_ERROR
+      );
+    }
+
+    for (const file of result.dependencies) {
+      dependencies.add(file);
+    }
+    processed.push({ ...block, css: result.css });
+  }
+
+  return { blocks: processed, dependencies: Array.from(dependencies) };
+}
@@ -7,6 +7,127 @@
  */
 
 import postcss from 'postcss';
+import { createMorphError, ErrorCodes } from './errors.js';
+
+/**
+ * Class name token following a `.` in a selector
+ * @type {RegExp}
+ */
+const CLASS_NAME = /[a-zA-Z_-][a-zA-Z0-9_-]*/y;
+
+/**
+ * A single CSS identifier (keyframe names)
+ * @type {RegExp}
+ */
+const CSS_IDENTIFIER = /^-?[a-zA-Z_][a-zA-Z0-9_-]*$/;
+
+/**
+ * `:global`, `:global(`, `:deep(` at the start of a string
+ * @type {RegExp}
+ */
+const SCOPE_ESCAPE = /^:(global|deep)(?![\w-])(\()?/;
+
+/**
+ * `@keyframes` at-rule names, including vendor-prefixed ones
+ * @type {RegExp}
+ */
+const KEYFRAMES_AT_RULE = /^(-\w+-)?keyframes$/i;
+
+/**
+ * Properties whose values reference keyframe names
+ * @type {RegExp}
+ */
+const ANIMATION_PROPERTY = /^(-\w+-)?animation(-name)?$/i;
+
+/**
+ * Custom property reference inside `var()`
+ * @type {RegExp}
+ */
+const VAR_REFERENCE = /(var\(\s*)(--[\w-]+)/g;
+
+/**
+ * Find the index of the character closing the bracket or quote at `start`
+ * @param {string} text - Selector text
+ * @param {number} start - Index of `(`, `[`, `"` or `'`
+ * @returns {number} Index of the closing character (last index if unclosed)
+ */
+function findClosing(text, start) {
+  const open = text[start];
+  const close = { '(': ')', '[': ']' }[open] || open;
+  let depth = 0;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (open !== close && (char === '"' || char === "'")) {
+      i = findClosing(text, i);
+    } else if (char === open && open !== close) {
+      depth++;
+    } else if (char === close) {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+
+  return text.length - 1;
+}
+
+/**
+ * Check if a selector list has more than one selector
+ * Commas inside brackets, functions and strings do not count.
+ * @param {string} text - Selector list
+ * @returns {boolean} True if a top-level comma separates selectors
+ */
+function hasSelectorList(text) {
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if ('(["\''.includes(char)) {
+      i = findClosing(text, i);
+    } else if (char === ',') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check if a rule is a `:global { ... }` block
+ * @param {import('postcss').Rule} rule - PostCSS rule
+ * @returns {boolean} True for global blocks
+ */
+function isGlobalBlock(rule) {
+  return rule.selector.trim() === ':global';
+}
+
+/**
+ * Check if a node is nested in a `:global { ... }` block
+ * @param {import('postcss').Node} child - PostCSS rule, at-rule or declaration
+ * @returns {boolean} True if an ancestor is a global block
+ */
+function isInsideGlobalBlock(child) {
+  for (let node = child.parent; node; node = node.parent) {
+    if (node.type === 'rule' && isGlobalBlock(node)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Rename the keyframe names in an `animation`/`animation-name` value
+ * @param {string} value - Declaration value
+ * @param {Object<string,string>} keyframes - Mapping of original to scoped keyframe names
+ * @returns {string} Value with scoped keyframe names
+ */
+function renameKeyframes(value, keyframes) {
+  return value.replace(
+    /(^|[\s,])(-?[_a-zA-Z][\w-]*)(?=$|[\s,])/g,
+    (match, separator, name) => separator + (keyframes[name] || name)
+  );
+}
 
 /**
  * CSS Scoper for generating scoped class names
@@ -18,6 +139,8 @@ export class CSSScoper {
    * @param {Object} [options={}] - Scoping options
    * @param {string} [options.hashMode='development'] - Hash mode: 'development' (stable) or 'production' (content-based)
    * @param {string} [options.generateScopedName='[name]_[local]_[hash:base64:5]'] - Scoped name pattern
+   * @param {boolean} [options.keyframes=false] - Scope `@keyframes` names and the animations using them
+   * @param {boolean} [options.customProperties=false] - Scope custom properties declared by the component
    */
   constructor(options = {}) {
     this.options = {
@@ -87,6 +210,8 @@ export class CSSScoper {
 
   /**
    * Parse CSS and extract class rules with their full content
+   * Classes wrapped in `:global()`/`:deep()`, after a bare `:global` or inside
+   * a `:global { ... }` block are not collected.
    * @param {string} css - CSS content
    * @returns {Object[]} Array of class rule objects
    */
@@ -97,24 +222,25 @@ export class CSSScoper {
       const root = postcss.parse(css);
 
       root.walkRules((rule) => {
-        // Only process class selectors (starting with .)
-        if (rule.selector.startsWith('.')) {
-          // Extract class names from the selector
-          const classNames = this.extractClassNamesFromSelector(rule.selector);
-
-          // Get the full rule content (properties)
-          const ruleContent = rule.toString();
-
-          for (const className of classNames) {
-            rules.push({
-              className,
-              content: ruleContent,
-              scoped: false,
-            });
-          }
+        if (isGlobalBlock(rule) || isInsideGlobalBlock(rule)) {
+          return;
+        }
+
+        // Extract local class names from the selector
+        const classNames = this.extractClassNamesFromSelector(rule.selector);
+
+        // Get the full rule content (properties)
+        const ruleContent = rule.toString();
+
+        for (const className of classNames) {
+          rules.push({
+            className,
+            content: ruleContent,
+            scoped: false,
+          });
         }
       });
-    } catch (e) {
+    } catch {
       // If parsing fails, fall back to simple extraction
       const classNames = this.extractClassNames(css);
       for (const className of classNames) {
@@ -130,23 +256,95 @@ export class CSSScoper {
   }
 
   /**
-   * Extract class names from a selector string
+   * Extract local class names from a selector string
    * @param {string} selector - CSS selector
    * @returns {string[]} Array of class names
    */
   extractClassNamesFromSelector(selector) {
     const classNames = new Set();
-    // Match .className patterns, handling comma-separated selectors
-    const regex = /\.([a-zA-Z_-][a-zA-Z0-9_-]*)/g;
-    let match;
 
-    while ((match = regex.exec(selector)) !== null) {
-      classNames.add(match[1]);
-    }
+    this.rewriteSelector(selector, (className) => {
+      classNames.add(className);
+      return className;
+    });
 
     return Array.from(classNames);
   }
 
+  /**
+   * Rewrite the local class names of a selector
+   * `:global(.a)` and `:deep(.a)` are unwrapped and their contents kept as
+   * written. A selector list argument (`:global(.a, .b)`) becomes `:is(.a, .b)`
+   * so its commas stay inside the compound. A bare `:global` keeps the rest
+   * of the selector (up to the next comma) unscoped, as in CSS modules.
+   * @param {string} selector - CSS selector
+   * @param {function(string): string} rewriteClass - Returns the replacement for a local class name
+   * @returns {string} Rewritten selector
+   */
+  rewriteSelector(selector, rewriteClass) {
+    let output = '';
+    let global = false;
+    let i = 0;
+
+    while (i < selector.length) {
+      const char = selector[i];
+
+      if (char === '\\') {
+        output += selector.slice(i, i + 2);
+        i += 2;
+        continue;
+      }
+
+      // Attribute selectors and strings never contain classes
+      if (char === '[' || char === '"' || char === "'") {
+        const end = findClosing(selector, i);
+        output += selector.slice(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+
+      if (char === ',') {
+        global = false;
+        output += char;
+        i++;
+        continue;
+      }
+
+      if (char === ':') {
+        const escape = SCOPE_ESCAPE.exec(selector.slice(i));
+        if (escape && escape[2]) {
+          const open = i + escape[0].length - 1;
+          const end = findClosing(selector, open);
+          const argument = selector.slice(open + 1, end);
+          output += hasSelectorList(argument) ? `:is(${argument})` : argument;
+          i = end + 1;
+          continue;
+        }
+        if (escape && escape[1] === 'global') {
+          global = true;
+          i += escape[0].length;
+          while (/\s/.test(selector[i] || '')) i++;
+          continue;
+        }
+      }
+
+      if (char === '.' && !global) {
+        CLASS_NAME.lastIndex = i + 1;
+        const match = CLASS_NAME.exec(selector);
+        if (match) {
+          output += `.${rewriteClass(match[0])}`;
+          i += match[0].length + 1;
+          continue;
+        }
+      }
+
+      output += char;
+      i++;
+    }
+
+    return output;
+  }
+
   /**
    * Extract class selectors from CSS
    * @param {string} css - CSS content
@@ -168,21 +366,144 @@ export class CSSScoper {
 
   /**
    * Transform CSS selectors to use scoped class names
+   * Only selectors are rewritten; `:global`/`:deep` escapes are resolved and
+   * `:global { ... }` blocks are unwrapped with their rules left unscoped.
+   * Keyframe and custom property names from `localNames` are renamed where
+   * they are declared and where they are used.
    * @param {string} css - Original CSS
    * @param {Object} scopedClasses - Mapping of original to scoped class names
+   * @param {{keyframes?: Object<string,string>, customProperties?: Object<string,string>}} [localNames={}] - Result of scopeLocalNames
    * @returns {string} Transformed CSS
    */
-  transformSelectors(css, scopedClasses) {
-    let transformedCss = css;
-
-    // Replace each class selector with scoped version
-    for (const [original, scoped] of Object.entries(scopedClasses)) {
-      // Use word boundaries to avoid partial matches
-      const regex = new RegExp(`\\.${original}\\b`, 'g');
-      transformedCss = transformedCss.replace(regex, `.${scoped}`);
+  transformSelectors(css, scopedClasses, localNames = {}) {
+    const scopeClass = (className) => scopedClasses[className] || className;
+    const keepClass = (className) => className;
+    let root;
+
+    try {
+      root = postcss.parse(css);
+    } catch {
+      // Unparsable CSS: replace whole class tokens in the text
+      let transformedCss = css;
+      for (const [original, scoped] of Object.entries(scopedClasses)) {
+        const regex = new RegExp(`\\.${original}(?![\\w-])`, 'g');
+        transformedCss = transformedCss.replace(regex, `.${scoped}`);
+      }
+      return transformedCss;
+    }
+
+    const globalBlocks = [];
+    root.walkRules((rule) => {
+      if (isGlobalBlock(rule)) {
+        globalBlocks.push(rule);
+        return;
+      }
+      rule.selector = this.rewriteSelector(
+        rule.selector,
+        isInsideGlobalBlock(rule) ? keepClass : scopeClass
+      );
+    });
+
+    this.renameLocalNames(root, localNames);
+
+    // Innermost blocks first, so nested blocks unwrap into their parents
+    for (const block of globalBlocks.reverse()) {
+      block.replaceWith(block.nodes);
+    }
+
+    return root.toString();
+  }
+
+  /**
+   * Generate scoped keyframe and custom property names
+   * Only the kinds enabled by the `keyframes` and `customProperties` options
+   * are collected. Names declared inside `:global { ... }` blocks stay global.
+   * A keyframe named like a class reuses the class's scoped name.
+   * @param {string} css - CSS content
+   * @param {string} componentName - Component name for scoping
+   * @param {Object} [scopedClasses={}] - Scoped class names of the same CSS
+   * @returns {{keyframes: Object<string,string>, customProperties: Object<string,string>}} Original to scoped names
+   */
+  scopeLocalNames(css, componentName, scopedClasses = {}) {
+    const localNames = { keyframes: {}, customProperties: {} };
+    if (!this.options.keyframes && !this.options.customProperties) {
+      return localNames;
+    }
+
+    let root;
+    try {
+      root = postcss.parse(css);
+    } catch {
+      return localNames;
+    }
+
+    if (this.options.keyframes) {
+      root.walkAtRules(KEYFRAMES_AT_RULE, (atRule) => {
+        const name = atRule.params.trim();
+        if (isInsideGlobalBlock(atRule) || !CSS_IDENTIFIER.test(name)) {
+          return;
+        }
+        localNames.keyframes[name] =
+          scopedClasses[name] ||
+          this.generateScopedName(componentName, name, atRule.toString());
+      });
+    }
+
+    if (this.options.customProperties) {
+      root.walkDecls(/^--/, (decl) => {
+        if (
+          isInsideGlobalBlock(decl) ||
+          decl.prop in localNames.customProperties
+        ) {
+          return;
+        }
+        localNames.customProperties[decl.prop] =
+          `--${this.generateScopedName(componentName, decl.prop.slice(2), decl.toString())}`;
+      });
+    }
+
+    return localNames;
+  }
+
+  /**
+   * Rename scoped keyframes and custom properties in a parsed stylesheet
+   * @param {import('postcss').Root} root - Parsed CSS
+   * @param {{keyframes?: Object<string,string>, customProperties?: Object<string,string>}} localNames - Original to scoped names
+   */
+  renameLocalNames(root, localNames) {
+    const keyframes = localNames.keyframes || {};
+    const customProperties = localNames.customProperties || {};
+    const hasKeyframes = Object.keys(keyframes).length > 0;
+    const hasProperties = Object.keys(customProperties).length > 0;
+    if (!hasKeyframes && !hasProperties) {
+      return;
     }
 
-    return transformedCss;
+    root.walkAtRules((atRule) => {
+      if (isInsideGlobalBlock(atRule)) return;
+      const name = atRule.params.trim();
+      if (KEYFRAMES_AT_RULE.test(atRule.name) && keyframes[name]) {
+        atRule.params = keyframes[name];
+      } else if (atRule.name === 'property' && customProperties[name]) {
+        atRule.params = customProperties[name];
+      }
+    });
+
+    root.walkDecls((decl) => {
+      if (isInsideGlobalBlock(decl)) return;
+      if (customProperties[decl.prop]) {
+        decl.prop = customProperties[decl.prop];
+      }
+      if (hasKeyframes && ANIMATION_PROPERTY.test(decl.prop)) {
+        decl.value = renameKeyframes(decl.value, keyframes);
+      }
+      if (hasProperties && decl.value.includes('var(')) {
+        decl.value = decl.value.replace(
+          VAR_REFERENCE,
+          (match, prefix, name) => prefix + (customProperties[name] || name)
+        );
+      }
+    });
   }
 
   /**
@@ -214,8 +535,11 @@ export class CSSScoper {
       };
     }
 
+    // Opt-in keyframe and custom property names
+    const localNames = this.scopeLocalNames(css, componentName, scopedClasses);
+
     // Transform CSS selectors
-    const scopedCss = this.transformSelectors(css, scopedClasses);
+    const scopedCss = this.transformSelectors(css, scopedClasses, localNames);
 
     return {
       originalCss: css,
@@ -223,6 +547,7 @@ export class CSSScoper {
       scopedClasses,
       classContents,
       classNames: Object.keys(scopedClasses),
+      localNames,
     };
   }
 }
@@ -254,6 +579,94 @@ export function scopeCss(css, componentName, options = {}) {
   return scoper.processCss(css, componentName);
 }
 
+/**
+ * Merge the class map with the opt-in keyframe and custom property names
+ * @param {Object} result - Result of scopeCss
+ * @returns {Object<string,string>} Names exposed to component code
+ */
+function exportedNames(result) {
+  return {
+    ...result.scopedClasses,
+    ...result.localNames?.keyframes,
+    ...result.localNames?.customProperties,
+  };
+}
+
+/**
+ * Scope the style blocks of a component
+ * Scoped blocks share one class map, each `module="name"` gets its own map
+ * (scoped as `<component>_<name>`), and global blocks pass through unchanged.
+ * Blocks are emitted in document order so the cascade follows the source.
+ * @param {import('../types/index.d.ts').StyleBlock[]} blocks - Style blocks
+ * @param {string} componentName - Component name for scoping
+ * @param {Object} [options={}] - Options (hashMode, keyframes, customProperties)
+ * @returns {{scopedCss: string, scopedClasses: Object, styles: Object, classContents: Object, modules: Object<string,Object>}} Scoped result.
+ *   `scopedClasses` holds class names only (for templates), `styles` and
+ *   `modules` also hold scoped keyframe and custom property names when enabled
+ * @throws {import('../types/index.d.ts').MorphPluginError} When a module name is not a valid identifier
+ */
+export function scopeStyleBlocks(blocks, componentName, options = {}) {
+  const scopedBlocks = blocks.filter((block) => block.kind === 'scoped');
+  const scoped = scopeCss(
+    scopedBlocks.map((block) => block.css).join('\n'),
+    componentName,
+    options
+  );
+
+  const moduleResults = {};
+  const moduleNames = [
+    ...new Set(
+      blocks.filter((block) => block.kind === 'module').map((b) => b.module)
+    ),
+  ];
+  for (const name of moduleNames) {
+    if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw createMorphError(
+        `Invalid style module name "${name}". Use a valid JavaScript identifier.`,
+        '',
+        null,
+        ErrorCodes.INVALID_STYLE_TAG
+      );
+    }
+    const moduleCss = blocks
+      .filter((block) => block.kind === 'module' && block.module === name)
+      .map((block) => block.css)
+      .join('\n');
+    moduleResults[name] = scopeCss(
+      moduleCss,
+      `${componentName}_${name}`,
+      options
+    );
+  }
+
+  const scoper = getCssScoper();
+  const scopedCss = blocks
+    .map((block) => {
+      if (block.kind === 'global') return block.css;
+      const result =
+        block.kind === 'module' ? moduleResults[block.module] : scoped;
+      return scoper.transformSelectors(
+        block.css,
+        result.scopedClasses,
+        result.localNames
+      );
+    })
+    .join('\n');
+
+  const modules = {};
+  for (const [name, result] of Object.entries(moduleResults)) {
+    modules[name] = exportedNames(result);
+  }
+
+  return {
+    scopedCss,
+    scopedClasses: scoped.scopedClasses,
+    styles: exportedNames(scoped),
+    classContents: scoped.classContents,
+    modules,
+  };
+}
+
 /**
  * Generate scoped class name
  * @param {string} componentName - Component name
@@ -0,0 +1,77 @@
+/**
+ * Custom Element wrappers for morph components
+ * @fileoverview Parses `Component.morph?element` requests and generates the Custom Element registration
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import path from 'path';
+import { URLSearchParams } from 'url';
+import { createMorphError, ErrorCodes } from './errors.js';
+
+const ELEMENT_QUERY = 'element';
+const ELEMENT_NAME = /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/;
+
+/**
+ * Derive the default tag name of a component
+ * `Button` becomes `morph-button`, `UserCard` becomes `morph-user-card`.
+ * @param {string} componentName - Component name (file name without extension)
+ * @returns {string} Custom element name
+ */
+export function toElementName(componentName) {
+  const kebab = componentName
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+  return `morph-${kebab}`;
+}
+
+/**
+ * Parse a `.morph?element` module id
+ * `?element` uses the default tag name, `?element=app-button` sets it.
+ * @param {string} id - Module id
+ * @returns {{filePath: string, tagName: string}|null} Element request, null for other ids
+ * @throws {import('../types/index.d.ts').MorphPluginError} When the tag name is not a valid custom element name
+ */
+export function parseElementRequest(id) {
+  const [filePath, query] = id.split('?');
+  if (!filePath.endsWith('.morph') || !query) {
+    return null;
+  }
+
+  const params = new URLSearchParams(query);
+  if (!params.has(ELEMENT_QUERY)) {
+    return null;
+  }
+
+  const tagName =
+    params.get(ELEMENT_QUERY) ||
+    toElementName(path.basename(filePath, '.morph'));
+  if (!ELEMENT_NAME.test(tagName)) {
+    throw createMorphError(
+      `Invalid custom element name "${tagName}": use lowercase letters and at least one hyphen`,
+      filePath,
+      null,
+      ErrorCodes.CONFIG_ERROR
+    );
+  }
+
+  return { filePath, tagName };
+}
+
+/**
+ * Generate the default export of a `.morph?element` module
+ * The module is the compiled component without document CSS injection, its
+ * CSS only goes into the shadow roots of the element.
+ * @param {string} tagName - Custom element name
+ * @param {boolean} hasCss - Whether the module defines `css`
+ * @returns {string[]} Module code lines (default export is the element class)
+ */
+export function generateElementExportCode(tagName, hasCss) {
+  const component = `{ default: renderFunction, template${hasCss ? ', css' : ''} }`;
+  return [
+    '// Register the component as a Custom Element',
+    `export default defineMorphElement(${JSON.stringify(tagName)}, ${component});`,
+  ];
+}
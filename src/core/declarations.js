@@ -0,0 +1,220 @@
+/**
+ * TypeScript declaration generation for morph components
+ * @fileoverview Builds `Component.morph.d.ts` content from template placeholders and handshake data
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { writeFile, readFile } from 'fs/promises';
+import { extractPlaceholdersFromHTML } from './template.js';
+
+const IDENTIFIER = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+
+/**
+ * Format a property name for a type literal
+ * @param {string} name - Property name
+ * @returns {string} Identifier or quoted name
+ */
+function formatKey(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Infer a TypeScript type from a JSON value
+ * @param {*} value - Handshake value
+ * @param {string} indent - Current indentation
+ * @returns {string} TypeScript type
+ */
+function inferType(value, indent = '') {
+  if (value === null) return 'unknown';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'unknown[]';
+    const types = [...new Set(value.map((item) => inferType(item, indent)))];
+    return types.length === 1 && !types[0].includes('|')
+      ? `${types[0]}[]`
+      : `Array<${types.join(' | ')}>`;
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return 'Record<string, unknown>';
+    const inner = `${indent}  `;
+    const props = entries.map(
+      ([key, item]) => `${inner}${formatKey(key)}: ${inferType(item, inner)};`
+    );
+    return `{\n${props.join('\n')}\n${indent}}`;
+  }
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return typeof value;
+  }
+  return 'unknown';
+}
+
+/**
+ * Collect top-level data fields referenced by template placeholders
+ * `{{ name }}`, `{{ user.name : helper }}` and `{{ items : [], card }}` reference
+ * `name`, `user` and `items`. Helper-only and special placeholders (`@all`,
+ * `:helper`) reference no field.
+ * @param {string} templateHtml - Template HTML
+ * @returns {string[]} Field names
+ */
+export function extractDataFields(templateHtml) {
+  const fields = new Set();
+
+  for (const placeholder of extractPlaceholdersFromHTML(templateHtml || '')) {
+    const dataPart = placeholder.content.split(':')[0].trim();
+    const field = dataPart.split('.')[0];
+    if (IDENTIFIER.test(field)) {
+      fields.add(field);
+    }
+  }
+
+  return Array.from(fields);
+}
+
+/**
+ * Build the component type name from the component name
+ * @param {string} componentName - Component name (file name without extension)
+ * @returns {string} PascalCase type name
+ */
+function toTypeName(componentName) {
+  const name = componentName
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[A-Za-z]/.test(name) ? name : `Morph${name}`;
+}
+
+/**
+ * Generate the declaration file content for a morph component
+ * @param {Object} component - Processed component parts
+ * @param {string} component.componentName - Component name
+ * @param {string} component.templateHtml - Template HTML
+ * @param {Object|null} component.handshake - Parsed handshake data
+ * @param {string[]} component.helpers - Helper names defined by the script
+ * @param {Record<string,string>} component.styles - Scoped class names
+ * @param {Object<string,Record<string,string>>} component.modules - Class maps of style modules
+ * @param {boolean} component.hasCss - Component has a style block
+ * @param {boolean} component.isCSSOnly - CSS-only morph file
+ * @returns {string} Declaration file content
+ */
+export function generateComponentDeclaration({
+  componentName,
+  templateHtml,
+  handshake,
+  helpers = [],
+  styles = {},
+  modules = {},
+  hasCss = false,
+  isCSSOnly = false,
+}) {
+  const lines = [
+    `// Generated by @peter.naydenov/vite-plugin-morph from ${componentName}.morph. Do not edit.`,
+    '',
+  ];
+
+  if (isCSSOnly) {
+    lines.push('export declare const styles: string;');
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  const typeName = toTypeName(componentName);
+  const handshakeData =
+    handshake && typeof handshake === 'object' && !Array.isArray(handshake)
+      ? handshake
+      : {};
+
+  // Handshake values give the types, remaining placeholders are unknown
+  const props = Object.entries(handshakeData).map(
+    ([key, value]) => `  ${formatKey(key)}?: ${inferType(value, '  ')};`
+  );
+  for (const field of extractDataFields(templateHtml)) {
+    if (!(field in handshakeData)) {
+      props.push(`  ${field}?: unknown;`);
+    }
+  }
+
+  lines.push(`/** Data accepted by the ${componentName} render function */`);
+  lines.push(`export interface ${typeName}Data {`);
+  lines.push(...props);
+  lines.push('  [key: string]: unknown;');
+  lines.push('}');
+  lines.push('');
+
+  if (helpers.length > 0) {
+    lines.push(`/** Helpers: ${helpers.join(', ')} */`);
+  }
+  lines.push('declare const render: {');
+  lines.push(
+    `  (command: 'render', data?: ${typeName}Data, ...args: unknown[]): string;`
+  );
+  lines.push(
+    `  (command: string, data?: ${typeName}Data, ...args: unknown[]): unknown;`
+  );
+  lines.push('  readonly componentName: string;');
+  if (hasCss) {
+    lines.push('  readonly css: string;');
+  }
+  lines.push('};');
+  lines.push('export default render;');
+  lines.push('');
+
+  lines.push('export declare const template: {');
+  lines.push('  template: string;');
+  lines.push('  helpers: Record<string, unknown>;');
+  lines.push('  handshake: Record<string, unknown>;');
+  lines.push('};');
+
+  const styleKeys = Object.keys(styles);
+  lines.push(
+    styleKeys.length > 0
+      ? `export declare const styles: {\n${styleKeys
+          .map((key) => `  readonly ${formatKey(key)}: string;`)
+          .join('\n')}\n};`
+      : 'export declare const styles: Record<string, string>;'
+  );
+
+  const moduleNames = Object.keys(modules);
+  if (moduleNames.length > 0) {
+    lines.push('export declare const modules: {');
+    for (const name of moduleNames) {
+      lines.push(`  readonly ${name}: {`);
+      for (const key of Object.keys(modules[name])) {
+        lines.push(`    readonly ${formatKey(key)}: string;`);
+      }
+      lines.push('  };');
+    }
+    lines.push('};');
+  }
+
+  if (handshake) {
+    lines.push(`export declare const handshake: ${typeName}Data;`);
+  }
+  if (hasCss) {
+    lines.push('export declare const css: string;');
+    lines.push('export declare const componentsCSS: Record<string, string>;');
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Write `<file>.morph.d.ts` next to the morph file
+ * The file is only rewritten when its content changes, so watchers stay quiet.
+ * @param {string} filePath - Morph file path
+ * @param {string} declaration - Declaration content
+ * @returns {Promise<boolean>} True if the file was written
+ */
+export async function writeComponentDeclaration(filePath, declaration) {
+  const declarationPath = `${filePath}.d.ts`;
+  const existing = await readFile(declarationPath, 'utf-8').catch(() => null);
+
+  if (existing === declaration) {
+    return false;
+  }
+
+  await writeFile(declarationPath, declaration, 'utf-8');
+  return true;
+}
@@ -124,6 +124,10 @@ function getSuggestion(code) {
     MISSING_TEMPLATE: 'No template content found in morph file',
     INVALID_SCRIPT_TAG: 'Script tags must have proper opening and closing tags',
     INVALID_STYLE_TAG: 'Style tags must have proper opening and closing tags',
+    THEME_CONTRACT_ERROR:
+      'Define the same CSS variables in every theme or adjust themeContract',
+    UNDEFINED_CSS_VARIABLE:
+      'Define the variable in a theme, add a fallback (var(--name, value)) or set css.undefinedVariables to off',
   };
 
   return suggestions[code];
@@ -183,6 +187,8 @@ export const ErrorCodes = {
   MISSING_TEMPLATE: 'MISSING_TEMPLATE',
   INVALID_SCRIPT_TAG: 'INVALID_SCRIPT_TAG',
   INVALID_STYLE_TAG: 'INVALID_STYLE_TAG',
+  THEME_CONTRACT_ERROR: 'THEME_CONTRACT_ERROR',
+  UNDEFINED_CSS_VARIABLE: 'UNDEFINED_CSS_VARIABLE',
 };
 
 /**
@@ -7,14 +7,33 @@
 
 import { parseFragment } from 'parse5';
 
+/**
+ * Check if a script node holds TypeScript (`lang="ts"` or `type="text/typescript"`)
+ * @param {import('../types/index.d.ts').Node} node - Script node
+ * @returns {boolean} True for TypeScript scripts
+ */
+function isTypeScriptNode(node) {
+  return node.attrs.some(
+    (attr) =>
+      (attr.name === 'lang' && ['ts', 'typescript'].includes(attr.value)) ||
+      (attr.name === 'type' && attr.value === 'text/typescript')
+  );
+}
+
 function findScriptNodes(node, scriptType) {
   const nodes = [];
 
   if (node.nodeName === 'script' && node.attrs) {
-    const hasCorrectType = node.attrs.some(
-      (attr) => attr.name === 'type' && attr.value === scriptType
-    );
+    const isTypeScript = isTypeScriptNode(node);
+    const hasCorrectType =
+      scriptType === 'text/typescript'
+        ? isTypeScript
+        : !isTypeScript &&
+          node.attrs.some(
+            (attr) => attr.name === 'type' && attr.value === scriptType
+          );
     const hasNoType =
+      !isTypeScript &&
       !node.attrs.some((attr) => attr.name === 'type') &&
       scriptType === 'text/javascript';
 
@@ -32,6 +51,22 @@ function findScriptNodes(node, scriptType) {
   return nodes;
 }
 
+function findStyleNodes(node) {
+  const nodes = [];
+
+  if (node.nodeName === 'style') {
+    nodes.push(node);
+  }
+
+  if (node.childNodes) {
+    for (const child of node.childNodes) {
+      nodes.push(...findStyleNodes(child));
+    }
+  }
+
+  return nodes;
+}
+
 /**
  * Parse JSON-like content with comments and flexible syntax
  * @param {string} content - JSON-like content with comments
@@ -95,7 +130,7 @@ export function parseHTMLFragment(content) {
 /**
  * Extract content from specific script tags
  * @param {import('../types/index.d.ts').Document} document - Parsed HTML document
- * @param {string} scriptType - Type of script tag ('text/javascript', 'application/json', etc.)
+ * @param {string} scriptType - Type of script tag ('text/javascript', 'text/typescript', 'application/json', etc.)
  * @returns {string|null} Script content or null if not found
  */
 export function extractScriptContent(document, scriptType) {
@@ -142,23 +177,6 @@ export function extractScriptContent(document, scriptType) {
  * @returns {string|null} Style content or null if not found
  */
 export function extractStyleContent(document) {
-  // Helper function to search recursively for style nodes
-  function findStyleNodes(node) {
-    const nodes = [];
-
-    if (node.nodeName === 'style') {
-      nodes.push(node);
-    }
-
-    if (node.childNodes) {
-      for (const child of node.childNodes) {
-        nodes.push(...findStyleNodes(child));
-      }
-    }
-
-    return nodes;
-  }
-
   const styleNodes = findStyleNodes(document);
 
   if (styleNodes.length > 0) {
@@ -169,6 +187,35 @@ export function extractStyleContent(document) {
   return null;
 }
 
+/**
+ * Extract all style blocks in document order
+ * `<style global>` is emitted unscoped, `<style module="name">` gets its own
+ * class map, and any other `<style>` (including `<style scoped>`) is scoped.
+ * @param {import('../types/index.d.ts').Document} document - Parsed HTML document
+ * @returns {import('../types/index.d.ts').StyleBlock[]} Style blocks
+ */
+export function extractStyleBlocks(document) {
+  return findStyleNodes(document).map((node) => {
+    const attrs = Object.fromEntries(
+      (node.attrs || []).map((attr) => [attr.name, attr.value])
+    );
+    const css = node.childNodes.map((child) => child.value || '').join('');
+
+    if ('global' in attrs) {
+      return { css, kind: 'global', module: null, attrs };
+    }
+    if ('module' in attrs) {
+      return {
+        css,
+        kind: 'module',
+        module: attrs.module || 'default',
+        attrs,
+      };
+    }
+    return { css, kind: 'scoped', module: null, attrs };
+  });
+}
+
 /**
  * Extract content from specific script tags
  * @param {import('../types/index.d.ts').Document} document - Parsed HTML document
@@ -6,37 +6,101 @@
  */
 
 import path from 'path';
+import { createHash } from 'crypto';
 import {
   parseMorphFile,
   extractScriptContent,
-  extractStyleContent,
+  extractStyleBlocks,
   extractHandshakeContent,
   parseJsonLike,
 } from './parser.js';
 import { extractTemplateContent, extractRequiredHelpers } from './template.js';
-import { processScriptContent } from './script.js';
+import { processScriptContent, transpileTypeScript } from './script.js';
+import { generateComponentDeclaration } from './declarations.js';
+import { preprocessStyleBlocks } from './style-preprocessor.js';
+import { generateElementExportCode } from './custom-element.js';
 import {
   createMorphError,
+  ErrorCodes,
   createCssProcessingError,
   createCssScopingError,
   extractLocationFromPostCssError,
 } from './errors.js';
-import { getCachedResult, setCachedResult } from '../utils/cache.js';
+import {
+  getCachedResult,
+  setCachedResult,
+  getDiskCache,
+  PLUGIN_VERSION,
+} from '../utils/cache.js';
 import { debug, info, error, warn } from '../utils/logger.js';
 import { isProductionMode } from '../utils/shared.js';
-import { scopeCss, transformHtmlClasses } from '../core/css-scoper.js';
-import { processCss } from '../core/css-processor.js';
+import {
+  createSourceMap,
+  decodeMappings,
+  offsetToPosition,
+  originalPositionFor,
+} from '../utils/source-map.js';
+import {
+  scopeStyleBlocks,
+  transformHtmlClasses,
+} from '../core/css-scoper.js';
+import { processCss, processStyleBlocks } from '../core/css-processor.js';
+import {
+  resolveLayerConfig,
+  createLayerOrderStatement,
+  wrapInLayer,
+  LAYER_NAMES,
+} from './css-layers.js';
 import { getCssCollector } from '../services/css-collection.js';
+import { componentStyleId } from '../client/style-id.js';
+
+function generateLayerOrderCode(layerOrder) {
+  if (!layerOrder) {
+    return [];
+  }
+  return [
+    `  if (!document.getElementById('morph-layer-order')) {`,
+    `    const orderElement = document.createElement('style');`,
+    `    orderElement.id = 'morph-layer-order';`,
+    ...generateNonceCode('orderElement', '    '),
+    `    orderElement.textContent = ${JSON.stringify(layerOrder)};`,
+    `    document.head.prepend(orderElement);`,
+    `  }`,
+  ];
+}
+
+function generateNonceCode(elementName, indent) {
+  // The client runtime's lookup: setMorphConfig({ nonce }), then the meta tag
+  return [`${indent}applyNonce(${elementName});`];
+}
+
+function generateNonceImportCode() {
+  return [
+    `import { applyNonce } from '@peter.naydenov/vite-plugin-morph/client';`,
+  ];
+}
+
+function generateRuntimeInjectionCode(componentName) {
+  return [
+    '// Inject CSS through the client runtime (shared constructable stylesheets)',
+    `if (typeof document !== 'undefined' && css) {`,
+    `  registerComponentCSS(${JSON.stringify(componentName)}, css);`,
+    `}`,
+  ];
+}
 
-function generateCssInjectionCode(componentName) {
+function generateCssInjectionCode(styleName, layerOrder = null) {
   return [
     '// Inject CSS in development',
     `if (typeof document !== 'undefined' && css) {`,
-    `  const styleId = 'morph-css-' + ${JSON.stringify(componentName)};`,
+    // The layer order statement must precede every layered stylesheet
+    ...generateLayerOrderCode(layerOrder),
+    `  const styleId = ${JSON.stringify(componentStyleId(styleName))};`,
     `  let styleElement = document.getElementById(styleId);`,
     `  if (!styleElement) {`,
     `    styleElement = document.createElement('style');`,
     `    styleElement.id = styleId;`,
+    ...generateNonceCode('styleElement', '    '),
     `    document.head.appendChild(styleElement);`,
     `  }`,
     `  styleElement.textContent = css;`,
@@ -44,7 +108,7 @@ function generateCssInjectionCode(componentName) {
   ];
 }
 
-function generateHmrHandlingCode(componentName) {
+function generateHmrHandlingCode(styleName) {
   return [
     '',
     '// HMR handling for CSS updates',
@@ -52,11 +116,12 @@ function generateHmrHandlingCode(componentName) {
     `  import.meta.hot.accept(() => {`,
     `    // Update CSS when module changes`,
     `    if (typeof document !== 'undefined' && css) {`,
-    `      const styleId = 'morph-css-' + ${JSON.stringify(componentName)};`,
+    `      const styleId = ${JSON.stringify(componentStyleId(styleName))};`,
     `      let styleElement = document.getElementById(styleId);`,
     `      if (!styleElement) {`,
     `        styleElement = document.createElement('style');`,
     `        styleElement.id = styleId;`,
+    ...generateNonceCode('styleElement', '        '),
     `        document.head.appendChild(styleElement);`,
     `      }`,
     `      styleElement.textContent = css;`,
@@ -66,44 +131,270 @@ function generateHmrHandlingCode(componentName) {
   ];
 }
 
-function generateHelpersCode(helperFunctions, stylesMap) {
+function generateRenderFunctionCode(ssrStyleKey = null) {
+  const build = 'morph.build(template, false, buildDependencies)';
+  if (!ssrStyleKey) {
+    return [`const renderFunction = ${build};`];
+  }
+
+  // renderToString() installs the collector for the duration of a render
+  return [
+    `const builtRender = ${build};`,
+    'const renderFunction = (...args) => {',
+    `  globalThis.__MORPH_SSR_STYLES__?.set(${JSON.stringify(ssrStyleKey)}, css);`,
+    '  return builtRender(...args);',
+    '};',
+  ];
+}
+
+function generateScriptImportsCode(imports) {
+  if (!imports || imports.length === 0) {
+    return [];
+  }
+  return ['// Script imports', ...imports.map((entry) => entry.code)];
+}
+
+function generateScriptBodyCode(scriptBody) {
+  if (!scriptBody || !scriptBody.trim()) {
+    return [];
+  }
+  return ['// Component script', scriptBody.trim(), ''];
+}
+
+function generateHelpersCode(helperFunctions, helperTemplates) {
   const parts = [];
-  if (!helperFunctions || Object.keys(helperFunctions).length === 0) {
+  const names = [
+    ...Object.keys(helperFunctions || {}),
+    ...Object.keys(helperTemplates || {}),
+  ];
+  if (names.length === 0) {
     return parts;
   }
 
   parts.push('// Helpers');
-  for (const [name, helper] of Object.entries(helperFunctions)) {
-    try {
-      if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
-        console.warn(`[vite-plugin-morph] Skipping helper with invalid name: ${name}`);
-        continue;
-      }
+  for (const name of Object.keys(helperFunctions || {})) {
+    // Function helpers are declared by the script body and referenced by name
+    parts.push(
+      `template.helpers.${name} = (props = {}, ...args) => (${name})({ ...props, styles }, ...args);`
+    );
+  }
+  for (const [name, helper] of Object.entries(helperTemplates || {})) {
+    parts.push(`template.helpers.${name} = ${JSON.stringify(helper)};`);
+  }
+  return parts;
+}
 
-      if (typeof helper === 'function') {
-        try {
-          let funcCode = helper.toString().replace(/\/\/.*$/gm, '').trim();
-          if (funcCode.startsWith('function ')) {
-            const funcName = funcCode.match(/function\s+(\w+)/)[1];
-            parts.push(
-              `try { ${funcCode}; template.helpers.${name} = (props = {}, ...args) => (${funcName})({ ...props, styles }, ...args); } catch(e) { console.warn('Failed to assign helper "${name}:', e.message); }`
-            );
-          } else {
-            parts.push(
-              `try { template.helpers.${name} = (props = {}, ...args) => (${funcCode})({ ...props, styles }, ...args); } catch(e) { console.warn('Failed to assign helper "${name}:', e.message); }`
-            );
+const CSS_VARIABLE_REFERENCE = /var\(\s*(--[\w-]+)\s*(,)?/g;
+const CSS_VARIABLE_DECLARATION = /(?:^|[{;\s])(--[\w-]+)\s*:/g;
+
+/**
+ * Collect the custom properties a component reads but does not declare
+ * Names come from the final CSS (after preprocessors), locations from the
+ * `.morph` file. A name is reported once, with its first reference that has
+ * no fallback when there is one.
+ * @param {string} css - Component CSS
+ * @param {string} content - Raw morph file content
+ * @returns {Array<{name: string, fallback: boolean, line: number, column: number}>} Variable references
+ */
+function collectCssVariables(css, content) {
+  const declared = new Set(
+    Array.from(css.matchAll(CSS_VARIABLE_DECLARATION), (match) => match[1])
+  );
+  const references = new Map();
+
+  for (const [, name, comma] of css.matchAll(CSS_VARIABLE_REFERENCE)) {
+    const fallback = !!comma;
+    const known = references.get(name);
+    if (declared.has(name) || (known && (!known.fallback || fallback))) {
+      continue;
+    }
+
+    // Names only contain word characters and dashes, no escaping needed
+    const match =
+      new RegExp(`var\\(\\s*${name}\\s*${fallback ? ',' : '\\)'}`).exec(
+        content
+      ) || new RegExp(`var\\(\\s*${name}(?![\\w-])`).exec(content);
+    const offset = match
+      ? match.index
+      : Math.max(content.indexOf('<style'), 0);
+    const { line, column } = offsetToPosition(content, offset);
+    references.set(name, { name, fallback, line, column: column + 1 });
+  }
+
+  return Array.from(references.values());
+}
+
+/**
+ * Build a source map from the generated module back to the .morph file
+ * Script code is emitted verbatim, so its lines map one to one (through the
+ * TypeScript source map for `lang="ts"` scripts). Template, handshake and
+ * helper wiring map to the line where they are declared.
+ * @param {string} code - Generated module code
+ * @param {string} content - Raw morph file content
+ * @param {string} filePath - File path
+ * @param {Object} parts - Extracted morph parts
+ * @param {string|null} parts.scriptRaw - Raw script content
+ * @param {import('../types/index.d.ts').ScriptContent|null} parts.script - Processed script
+ * @param {Object|null} parts.scriptMap - Source map from transpiled script to raw script
+ * @param {string} parts.templateHtml - Extracted (unscoped) template HTML
+ * @param {string|null} parts.handshakeRaw - Raw handshake content
+ * @param {Object<string,string>} parts.helperTemplates - Template helpers
+ * @returns {Object} Source map
+ */
+function buildModuleSourceMap(code, content, filePath, parts) {
+  const {
+    scriptRaw,
+    script,
+    scriptMap,
+    templateHtml,
+    handshakeRaw,
+    helperTemplates,
+  } = parts;
+  const mappings = [];
+
+  const addMapping = (generatedOffset, original) => {
+    if (generatedOffset < 0 || !original) return;
+    mappings.push({
+      generated: offsetToPosition(code, generatedOffset),
+      original,
+    });
+  };
+  const filePosition = (offset) =>
+    offset < 0 ? null : offsetToPosition(content, offset);
+
+  const scriptOffset = scriptRaw ? content.indexOf(scriptRaw) : -1;
+
+  if (script && scriptOffset >= 0) {
+    const scriptStart = offsetToPosition(content, scriptOffset);
+    const decodedScriptMap = scriptMap
+      ? decodeMappings(scriptMap.mappings)
+      : null;
+
+    // Position in the processed script code -> position in the .morph file
+    const toFilePosition = (position) => {
+      const original = decodedScriptMap
+        ? originalPositionFor(decodedScriptMap, position)
+        : position;
+      if (!original) return null;
+      return {
+        line: scriptStart.line + original.line - 1,
+        column:
+          original.line === 1
+            ? scriptStart.column + original.column
+            : original.column,
+      };
+    };
+    const scriptPosition = (offset) =>
+      offset < 0
+        ? null
+        : toFilePosition(offsetToPosition(script.code, offset));
+
+    for (const entry of script.imports || []) {
+      addMapping(
+        code.indexOf(entry.code),
+        scriptPosition(script.code.indexOf(entry.code))
+      );
+    }
+
+    const body = script.body.trim();
+    if (body) {
+      // Hoisted imports are blanked in the body, so lines (not offsets) match the script
+      const bodyStart = offsetToPosition(
+        script.body,
+        script.body.indexOf(body)
+      );
+      const generatedOffset = code.indexOf(
+        body,
+        code.indexOf('// Component script')
+      );
+      if (generatedOffset >= 0) {
+        const generatedStart = offsetToPosition(code, generatedOffset);
+        body.split('\n').forEach((line, index) => {
+          const original = toFilePosition({
+            line: bodyStart.line + index,
+            column: index === 0 ? bodyStart.column : 0,
+          });
+          if (original) {
+            mappings.push({
+              generated: { line: generatedStart.line + index, column: 0 },
+              original,
+            });
           }
-        } catch (funcError) {
-          console.warn(`[vite-plugin-morph] Cannot serialize function helper ${name}: ${funcError.message}`);
-        }
-      } else if (typeof helper === 'string') {
-        parts.push(`template.helpers.${name} = ${JSON.stringify(helper)};`);
+        });
       }
-    } catch (helperError) {
-      console.warn(`[vite-plugin-morph] Error processing helper ${name}: ${helperError.message}`);
+    }
+
+    const declarationOffset = (name) => {
+      const source = script.functions?.[name];
+      if (source && script.code.includes(source)) {
+        return script.code.indexOf(source);
+      }
+      const match = new RegExp(
+        `\\b(?:const|let|var|function)\\s+${name}\\b`
+      ).exec(script.code);
+      return match ? match.index : -1;
+    };
+
+    const helperNames = [
+      ...Object.keys(script.functions || {}),
+      ...Object.keys(helperTemplates || {}),
+    ];
+    for (const name of helperNames) {
+      addMapping(
+        code.indexOf(`template.helpers.${name} =`),
+        scriptPosition(declarationOffset(name))
+      );
     }
   }
-  return parts;
+
+  const templateLine = (templateHtml || '').trim().split('\n')[0];
+  if (templateLine) {
+    addMapping(
+      code.indexOf('"template": ', code.indexOf('const template =')),
+      filePosition(content.indexOf(templateLine))
+    );
+  }
+
+  if (handshakeRaw && handshakeRaw.trim()) {
+    const handshakeStart = content.indexOf(handshakeRaw);
+    if (handshakeStart >= 0) {
+      addMapping(
+        code.indexOf('export const handshake ='),
+        filePosition(handshakeStart + handshakeRaw.indexOf(handshakeRaw.trim()))
+      );
+    }
+  }
+
+  return createSourceMap({
+    source: filePath,
+    sourceContent: content,
+    mappings,
+  });
+}
+
+/**
+ * Hash the Vite settings style processing reads, for the cache key
+ * Same subset the worker pool passes to its threads. Regular expressions
+ * (aliases) and functions (preprocessor importers) count by their source.
+ * @param {import('vite').ResolvedConfig|undefined} viteConfig - Resolved Vite config
+ * @returns {string|null} Hash, null without a Vite config
+ */
+function hashViteCssSettings(viteConfig) {
+  if (!viteConfig) {
+    return null;
+  }
+
+  const settings = JSON.stringify(
+    {
+      preprocessorOptions: viteConfig.css?.preprocessorOptions,
+      alias: viteConfig.resolve?.alias,
+    },
+    (name, value) =>
+      value instanceof RegExp || typeof value === 'function'
+        ? value.toString()
+        : value
+  );
+  return createHash('md5').update(settings).digest('hex');
 }
 
 /**
@@ -122,8 +413,37 @@ export async function processMorphFile(content, filePath, options) {
     const rawPlaceholders = extractPlaceholdersFromHTML(content);
 
     // Check cache first (include options in cache key for production mode differences)
-    const cacheKey = JSON.stringify({ content, options, version: 3 });
-    const cached = getCachedResult(cacheKey);
+    // The resolved Vite config and PostCSS plugins are not serializable, the
+    // key holds their relevant settings: the PostCSS config file hash
+    // (`postcssConfigHash`, set by the plugin) and the plugin names
+    const cacheOptions = {
+      ...options,
+      viteConfig: hashViteCssSettings(options?.viteConfig),
+      postcssPlugins: options?.postcssPlugins?.map(
+        (plugin) => plugin.postcssPlugin || plugin.name || 'anonymous'
+      ),
+    };
+    const cacheKey = JSON.stringify({
+      content,
+      filePath,
+      options: cacheOptions,
+      version: 4,
+      pluginVersion: PLUGIN_VERSION,
+    });
+    // Test runs always exercise the current pipeline
+    const diskCache =
+      options?.cache?.enabled && !options.test
+        ? getDiskCache(options.rootDir, options.cache.maxSize)
+        : null;
+    let cached = getCachedResult(cacheKey);
+
+    // Survives dev server restarts, promoted to the in-memory cache on a hit
+    if (!cached && diskCache) {
+      cached = await diskCache.get(cacheKey);
+      if (cached) {
+        setCachedResult(cacheKey, cached);
+      }
+    }
 
     if (cached) {
       info(`Using cached result for ${filePath}`);
@@ -137,15 +457,66 @@ export async function processMorphFile(content, filePath, options) {
     );
 
     // Extract content in order: CSS first, then JS, then check what's left for template
-    const styleRaw = extractStyleContent(document);
+    // Preprocessor blocks (<style lang="scss">) are compiled to CSS together
+    // with the project's PostCSS config, the host plugins run on plain
+    // blocks, both before scoping
+    const preprocessed = await preprocessStyleBlocks(
+      extractStyleBlocks(document),
+      filePath,
+      options
+    );
+    const { blocks: styleBlocks, dependencies: postcssDependencies } =
+      await processStyleBlocks(
+        preprocessed.blocks,
+        filePath,
+        options?.postcssPlugins
+      );
+    const watchFiles = [
+      ...new Set([...preprocessed.watchFiles, ...postcssDependencies]),
+    ];
+    const styleRaw = styleBlocks.map((block) => block.css).join('\n');
     const style = styleRaw ? { css: styleRaw } : null;
     let cssSourceMap = null; // Will be set during CSS processing
     debug(`Extracted style: ${style ? 'yes' : 'no'}`);
 
-    const scriptRaw = extractScriptContent(document, 'text/javascript');
+    const typeScriptRaw = extractScriptContent(document, 'text/typescript');
+    const javaScriptRaw = extractScriptContent(document, 'text/javascript');
+    if (typeScriptRaw && javaScriptRaw) {
+      throw createMorphError(
+        'A morph file can have a JavaScript or a TypeScript <script> block, not both',
+        filePath,
+        null,
+        ErrorCodes.SCRIPT_ERROR
+      );
+    }
+    const scriptRaw = typeScriptRaw || javaScriptRaw;
 
     // Process script content to extract functions and templates
-    const script = scriptRaw ? processScriptContent(scriptRaw) : null;
+    let script = null;
+    let scriptMap = null; // TypeScript -> JavaScript source map
+    if (scriptRaw) {
+      try {
+        let scriptCode = scriptRaw;
+        if (typeScriptRaw) {
+          const transpiled = await transpileTypeScript(scriptRaw, filePath);
+          scriptCode = transpiled.code;
+          scriptMap = transpiled.map;
+        }
+        script = processScriptContent(scriptCode);
+      } catch (scriptError) {
+        // Script errors are located within the script, move them to the file
+        const scriptOffset = content.indexOf(scriptRaw);
+        if (scriptError.location && scriptOffset >= 0) {
+          const start = offsetToPosition(content, scriptOffset);
+          if (scriptError.location.line === 1) {
+            scriptError.location.column += start.column;
+          }
+          scriptError.location.line += start.line - 1;
+          scriptError.location.offset += scriptOffset;
+        }
+        throw scriptError;
+      }
+    }
 
     // Extract template content (everything that's not script or style)
     const template = extractTemplateContent(document, content, rawPlaceholders);
@@ -156,6 +527,7 @@ export async function processMorphFile(content, filePath, options) {
 
     // Check for CSS variable usage
     const usesCssVariables = style && /var\(--[^)]+\)/.test(style.css);
+    const cssVariables = style ? collectCssVariables(style.css, content) : [];
 
     // Determine if this is CSS-only
     const isCSSOnly = !!style && !scriptRaw && !template.html;
@@ -172,11 +544,18 @@ export async function processMorphFile(content, filePath, options) {
     if (style && !isCSSOnly) {
       const isProd = isProductionMode(options) || options?.hashMode === 'production';
       const hashMode = options?.hashMode || (isProd ? 'production' : 'development');
-      const scopedResult = scopeCss(style.css, componentName, { hashMode });
+      const scopedResult = scopeStyleBlocks(styleBlocks, componentName, {
+        hashMode,
+        keyframes: options.css?.modules?.keyframes === true,
+        customProperties: options.css?.modules?.customProperties === true,
+      });
       processedStyle = {
         css: style.css,
-        processedCss: scopedResult.scopedCss,
-        scopedClasses: scopedResult.scopedClasses,
+        processedCss: resolveLayerConfig(options).enabled
+          ? wrapInLayer(scopedResult.scopedCss, LAYER_NAMES.components)
+          : scopedResult.scopedCss,
+        scopedClasses: scopedResult.styles,
+        modules: scopedResult.modules,
       };
       scopedClasses = scopedResult.scopedClasses;
       if (scopedResult.classContents) {
@@ -198,22 +577,18 @@ export async function processMorphFile(content, filePath, options) {
     // Get root directory for relative path calculations
     const rootDir = options.rootDir || process.cwd();
 
-    // Build helpers object
-    const helpers = {};
-    if (script && script.functions) {
-      Object.assign(helpers, script.functions);
-    }
-    if (script && script.templates) {
-      Object.assign(helpers, script.templates);
-    }
+    // Build helpers object (template helpers are data, function helpers are code)
+    const helperFunctions = script?.functions || {};
+    const helpers = { ...(script?.templates || {}) };
 
     // Validate that all helpers referenced in template are available
     // Only validate if we successfully parsed helpers (helpers object has content)
-    const hasParsedHelpers = Object.keys(helpers).length > 0;
+    const hasParsedHelpers =
+      Object.keys(helpers).length + Object.keys(helperFunctions).length > 0;
     if (hasParsedHelpers) {
       const requiredHelpers = extractRequiredHelpers(template.html);
       const missingHelpers = requiredHelpers.filter(
-        (name) => !(name in helpers)
+        (name) => !(name in helpers) && !(name in helperFunctions)
       );
 
       if (missingHelpers.length > 0) {
@@ -237,13 +612,11 @@ export async function processMorphFile(content, filePath, options) {
       handshake: templateObject.handshake,
     });
 
-    // Store helpers separately for code generation
-    const helperFunctions = helpers;
-
     // Generate ES module code
     const moduleCode = generateESModule(
       templateObject,
       helperFunctions,
+      script,
       processedStyle,
       handshake?.data,
       options,
@@ -258,11 +631,42 @@ export async function processMorphFile(content, filePath, options) {
     const processingTime = Date.now() - startTime;
     const safeModuleCode = typeof moduleCode === 'string' ? moduleCode : '// Error: Invalid module code generated';
 
+    // Map generated code back to the .morph file for DevTools and coverage
+    const map =
+      options.development?.sourceMaps === false
+        ? null
+        : buildModuleSourceMap(safeModuleCode, content, filePath, {
+            scriptRaw,
+            script,
+            scriptMap,
+            templateHtml: template.html,
+            handshakeRaw,
+            helperTemplates: helpers,
+          });
+
+    // Component typings, written next to the file by the plugin
+    const declaration = options.declarations?.enabled
+      ? generateComponentDeclaration({
+          componentName:
+            componentName || path.basename(filePath).replace('.morph', ''),
+          templateHtml: template.html,
+          handshake: handshake?.data || null,
+          helpers: [...Object.keys(helperFunctions), ...Object.keys(helpers)],
+          styles: processedStyle?.scopedClasses || {},
+          modules: processedStyle?.modules || {},
+          hasCss: !!processedStyle,
+          isCSSOnly,
+        })
+      : null;
+
     const result = {
       code: safeModuleCode,
+      map,
+      declaration,
       cssExports: processedStyle?.css,
       cssSourceMap: null,
       usedVariables: template.usedVariables,
+      cssVariables,
       templateObject,
       componentsCSS,
       isCSSOnly,
@@ -271,20 +675,41 @@ export async function processMorphFile(content, filePath, options) {
         processingTime,
         components: {
           template: !!template.html,
-          helpers: Object.keys(helpers).length,
+          helpers:
+            Object.keys(helpers).length + Object.keys(helperFunctions).length,
           handshake: !!handshake?.data,
           css: !!processedStyle?.css,
         },
+        dependencies: (script?.imports || []).map((entry) => entry.source),
+        watchFiles,
       },
     };
 
-    // Cache result
-    setCachedResult(cacheKey, result);
+    // Cache result (files pulled in by preprocessors can change without the morph file)
+    if (watchFiles.length === 0) {
+      setCachedResult(cacheKey, result);
+      if (diskCache) {
+        try {
+          await diskCache.set(cacheKey, result);
+        } catch (cacheError) {
+          warn(`Failed to write disk cache: ${cacheError.message}`);
+        }
+      }
+    }
 
     info(`Successfully processed ${filePath} in ${processingTime}ms`);
     return result;
   } catch (err) {
-    const errorResult = createMorphError(err, filePath || 'unknown-file');
+    // Keep code and location of errors already raised by the pipeline
+    const location = err?.location
+      ? { ...err.location, file: filePath || 'unknown-file' }
+      : null;
+    const errorResult = createMorphError(
+      err,
+      filePath || 'unknown-file',
+      location,
+      err?.code
+    );
     const safeMessage = errorResult?.message || 'Processing failed';
     const safeFilePath = filePath || 'unknown-file';
 
@@ -335,7 +760,8 @@ function isValidFunctionCode(funcCode) {
 /**
  * Generate ES module code from processed morph components
  * @param {import('../../types/index.d.ts').TemplateObject} templateObject - Processed template object
- * @param {Object<string,Function>} helperFunctions - Helper functions
+ * @param {Object<string,string>} helperFunctions - Helper function names mapped to their source
+ * @param {import('../../types/index.d.ts').ScriptContent|null} script - Processed script (module body and imports)
  * @param {import('../../types/index.d.ts').StyleObject|null} style - Processed style object
  * @param {import('../../types/index.d.ts').HandshakeObject|null} handshake - Handshake data
  * @param {import('../../types/index.d.ts').MorphPluginOptions} options - Plugin options
@@ -350,6 +776,7 @@ function isValidFunctionCode(funcCode) {
 function generateESModule(
   templateObject,
   helperFunctions,
+  script,
   style,
   handshakeData,
   options,
@@ -361,29 +788,66 @@ function generateESModule(
   componentsCSS = {}
 ) {
   const parts = [];
+  // SSR modules must not touch the DOM, CSS is collected by renderToString()
+  const ssr = options.ssr === true;
+  // `?element` modules keep the component CSS in the shadow root only
+  const elementTag = options.element || null;
+  const layers = resolveLayerConfig(options);
+  const layerOrder = layers.enabled
+    ? createLayerOrderStatement(layers.order)
+    : null;
 
   if (isCSSOnly) {
     // CSS-only files: export styles directly, no morph utilities
+    if (!ssr) {
+      parts.push(...generateNonceImportCode());
+      parts.push('');
+    }
     parts.push('// Export CSS styles');
     parts.push(
       `const css = ${JSON.stringify(style.processedCss || style.css)};`
     );
     parts.push(`export const styles = css;`);
 
-    // Inject CSS in development mode
-    parts.push('');
-    parts.push(...generateCssInjectionCode(componentName));
+    // CSS-only files have no component name, their style is named by the file
+    const styleKey = path.basename(filePath, '.morph');
+    if (ssr) {
+      // Global CSS applies once imported, renderToString() inlines all of it
+      parts.push(
+        `(globalThis.__MORPH_SSR_GLOBAL_STYLES__ ||= new Map()).set(${JSON.stringify(styleKey)}, css);`
+      );
+    } else {
+      // Inject CSS in development mode
+      parts.push('');
+      parts.push(...generateCssInjectionCode(styleKey, layerOrder));
 
-    // Add HMR handling for CSS updates (only in non-test environments)
-    if (!options.test) {
-      parts.push(...generateHmrHandlingCode(componentName));
+      // Add HMR handling for CSS updates (only in non-test environments)
+      if (!options.test) {
+        parts.push(...generateHmrHandlingCode(styleKey));
+      }
     }
   } else {
     // Regular morph files: include morph utilities
     parts.push(`import morph from '@peter.naydenov/morph';`);
+    if (elementTag) {
+      parts.push(
+        `import { defineMorphElement } from '@peter.naydenov/vite-plugin-morph/element';`
+      );
+    }
+    const runtimeInjection =
+      style && !ssr && !elementTag && options.css?.injection === 'adopted';
+    const documentInjection =
+      style && !ssr && !elementTag && !runtimeInjection;
+    if (runtimeInjection) {
+      parts.push(
+        `import { registerComponentCSS } from '@peter.naydenov/vite-plugin-morph/client';`
+      );
+    } else if (documentInjection) {
+      parts.push(...generateNonceImportCode());
+    }
 
     // Import CSS variables file if CSS variables are used (creates HMR dependency)
-    if (usesCssVariables && options.cssVarsFile) {
+    if (usesCssVariables && options.cssVarsFile && !ssr) {
       // Calculate relative path from morph file to CSS file
       const morphDir = path.dirname(filePath);
       const cssPath = path.resolve(rootDir, options.cssVarsFile);
@@ -395,6 +859,9 @@ function generateESModule(
       parts.push(`import '${importPath.replace(/\\/g, '/')}';`);
     }
 
+    // Hoist script imports so Vite resolves them and tracks them for HMR
+    parts.push(...generateScriptImportsCode(script?.imports));
+
     parts.push('');
 
     // Create template object
@@ -410,12 +877,33 @@ function generateESModule(
     parts.push(`const styles = ${JSON.stringify(stylesMap)};`);
     parts.push('');
 
+    // Class maps of <style module="name"> blocks
+    const modulesMap = style && style.modules ? style.modules : {};
+    if (Object.keys(modulesMap).length > 0) {
+      parts.push('// Style modules (class maps of <style module="name"> blocks)');
+      parts.push(`const modules = ${JSON.stringify(modulesMap)};`);
+      parts.push('');
+    }
+
     // Prepare build dependencies
     const buildDependencies =
       Object.keys(stylesMap).length > 0 ? { styles: stylesMap } : {};
 
+    // Processed CSS comes before the script, so top-level script code can read it
+    if (style) {
+      parts.push('// Export processed CSS');
+      parts.push(
+        `const css = ${JSON.stringify(style.processedCss || style.css)};`
+      );
+      parts.push(`export { css };`);
+      parts.push('');
+    }
+
+    // Component script is real module code, so helpers keep their scope
+    parts.push(...generateScriptBodyCode(script?.body));
+
     // Add helpers if present
-    parts.push(...generateHelpersCode(helperFunctions, stylesMap));
+    parts.push(...generateHelpersCode(helperFunctions, templateObject.helpers));
 
     // Build render function
     parts.push('');
@@ -423,20 +911,28 @@ function generateESModule(
     const dependenciesJson = JSON.stringify(buildDependencies);
     parts.push(`const buildDependencies = ${dependenciesJson};`);
     parts.push(
-      'const renderFunction = morph.build(template, false, buildDependencies);'
+      ...generateRenderFunctionCode(ssr && style ? componentName : null)
     );
     parts.push('');
 
-    // Export render function as default
+    // Export render function (or the Custom Element class) as default
     parts.push('');
-    parts.push('// Export render function as default');
-    parts.push('export default renderFunction;');
+    if (!elementTag) {
+      parts.push('// Export render function as default');
+      parts.push('export default renderFunction;');
+    }
 
     // Export template object as named export
     parts.push('');
     parts.push('// Export template object as named export');
     parts.push('export { template };');
 
+    // Export scoped class names for runtime JS access
+    parts.push('export { styles };');
+    if (Object.keys(modulesMap).length > 0) {
+      parts.push('export { modules };');
+    }
+
     // Export handshake data if present
     if (handshakeData) {
       parts.push('');
@@ -444,16 +940,7 @@ function generateESModule(
       parts.push(`export const handshake = ${JSON.stringify(handshakeData)};`);
     }
 
-    // Export processed CSS if present
     if (style) {
-      const processedCss = style.processedCss || style.css;
-      const scopedClasses = style.scopedClasses || {};
-
-      parts.push('');
-      parts.push('// Export processed CSS');
-      parts.push(`const css = ${JSON.stringify(processedCss)};`);
-      parts.push(`export { css };`);
-
       // Export componentsCSS mapping
       parts.push('');
       parts.push('// Components CSS mapping for library builds');
@@ -462,10 +949,29 @@ function generateESModule(
       parts.push('');
 
       // Inject CSS in development mode (similar to CSS modules)
-      parts.push(...generateCssInjectionCode(componentName));
+      if (runtimeInjection) {
+        parts.push(...generateRuntimeInjectionCode(componentName));
+      } else if (documentInjection) {
+        parts.push(...generateCssInjectionCode(componentName, layerOrder));
+      }
 
       // Add HMR handling for CSS updates (only in non-test environments)
     }
+
+    // Component metadata for renderComponent() of the client runtime
+    parts.push('');
+    parts.push('// Component metadata for the client mount API');
+    parts.push(
+      `renderFunction.componentName = ${JSON.stringify(componentName)};`
+    );
+    if (style) {
+      parts.push('renderFunction.css = css;');
+    }
+
+    if (elementTag) {
+      parts.push('');
+      parts.push(...generateElementExportCode(elementTag, !!style));
+    }
   } // else !isCSSOnly
   // Ensure all parts are strings and filter out any undefined values
   const safeParts = parts
@@ -5,14 +5,51 @@
  * @version 0.0.10
  */
 
-import { parse } from 'acorn';
+import { parse, getLineInfo } from 'acorn';
 import { simple as walk } from 'acorn-walk';
+import { createMorphError, ErrorCodes } from './errors.js';
 import { debug, warn } from '../utils/logger.js';
 
+/**
+ * Names declared by the generated module around the script body.
+ * A top-level script declaration with one of these names would collide.
+ * @type {string[]}
+ */
+const RESERVED_NAMES = [
+  'morph',
+  'template',
+  'styles',
+  'modules',
+  'css',
+  'componentsCSS',
+  'buildDependencies',
+  'renderFunction',
+  'registerComponentCSS',
+  'applyNonce',
+  'defineMorphElement',
+  'builtRender',
+  'handshake',
+];
+
+/**
+ * Parse script content as an ES module
+ * @param {string} scriptContent - JavaScript code
+ * @returns {Object} Acorn AST
+ */
+function parseScript(scriptContent) {
+  return parse(scriptContent, {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+    allowImportExportEverywhere: false,
+  });
+}
+
 /**
  * Parse helper functions from script content using AST
+ * Functions are not evaluated here - the script is emitted as module code
+ * and helpers are referenced by name, so only their source is recorded.
  * @param {string} scriptContent - JavaScript code
- * @returns {Object<string,Function>} Parsed helper functions
+ * @returns {Object<string,string>} Helper function names mapped to their source
  */
 function parseHelperFunctions(scriptContent) {
   const functions = {};
@@ -22,77 +59,30 @@ function parseHelperFunctions(scriptContent) {
   }
 
   try {
-    const ast = parse(scriptContent, {
-      ecmaVersion: 2022,
-      sourceType: 'module',
-      allowImportExportEverywhere: false,
-    });
+    const ast = parseScript(scriptContent);
 
     // Only process top-level declarations
     for (const node of ast.body) {
       if (node.type === 'FunctionDeclaration' && node.id && node.id.name) {
-        try {
-          // Extract the function code
-          const start = node.start;
-          const end = node.end;
-          let functionCode = scriptContent.slice(start, end).trim();
-          // Remove comments that might be included in the AST range
-          functionCode = functionCode
-            .replace(/\/\*[\s\S]*?\*\//g, '')
-            .replace(/\/\/.*$/gm, '')
-            .trim();
-          functions[node.id.name] = eval('(' + functionCode + ')');
-          debug(`Parsed helper function: ${node.id.name}`);
-        } catch (parseError) {
-          warn(
-            `Failed to parse function ${node.id.name}: ${parseError.message}`
-          );
-        }
+        functions[node.id.name] = scriptContent.slice(node.start, node.end);
+        debug(`Parsed helper function: ${node.id.name}`);
       } else if (node.type === 'VariableDeclaration') {
         for (const declarator of node.declarations) {
-          if (declarator.id.type === 'Identifier') {
-            const varName = declarator.id.name;
+          if (declarator.id.type !== 'Identifier' || !declarator.init) {
+            continue;
+          }
 
-            if (declarator.init?.type === 'FunctionExpression') {
-              // Function expression - treat as function helper
-              try {
-                const start = declarator.init.start;
-                const end = declarator.init.end;
-                let functionCode = scriptContent.slice(start, end).trim();
-                // Remove comments that might be included in the AST range
-                functionCode = functionCode
-                  .replace(/\/\*[\s\S]*?\*\//g, '')
-                  .replace(/\/\/.*$/gm, '')
-                  .trim();
-                functions[varName] = eval('(' + functionCode + ')');
-                debug(`Parsed helper function: ${varName}`);
-              } catch (parseError) {
-                warn(
-                  `Failed to parse function ${varName}: ${parseError.message}`
-                );
-              }
-            } else if (
-              declarator.init?.type === 'ArrowFunctionExpression' &&
-              declarator.init.body?.type !== 'TemplateLiteral'
-            ) {
-              // Arrow function that doesn't return a template literal - treat as function helper
-              try {
-                const start = declarator.init.start;
-                const end = declarator.init.end;
-                let functionCode = scriptContent.slice(start, end).trim();
-                // Remove comments that might be included in the AST range
-                functionCode = functionCode
-                  .replace(/\/\*[\s\S]*?\*\//g, '')
-                  .replace(/\/\/.*$/gm, '')
-                  .trim();
-                functions[varName] = eval('(' + functionCode + ')');
-                debug(`Parsed helper function: ${varName}`);
-              } catch (parseError) {
-                warn(
-                  `Failed to parse function ${varName}: ${parseError.message}`
-                );
-              }
-            }
+          const varName = declarator.id.name;
+          const init = declarator.init;
+          const isFunction =
+            init.type === 'FunctionExpression' ||
+            // Arrow functions returning a template literal are template helpers
+            (init.type === 'ArrowFunctionExpression' &&
+              init.body?.type !== 'TemplateLiteral');
+
+          if (isFunction) {
+            functions[varName] = scriptContent.slice(init.start, init.end);
+            debug(`Parsed helper function: ${varName}`);
           }
         }
       }
@@ -117,11 +107,7 @@ function parseHelperTemplates(scriptContent) {
   }
 
   try {
-    const ast = parse(scriptContent, {
-      ecmaVersion: 2022,
-      sourceType: 'module',
-      allowImportExportEverywhere: false,
-    });
+    const ast = parseScript(scriptContent);
 
     // Only process top-level declarations
     for (const node of ast.body) {
@@ -227,16 +213,133 @@ function isWellFormedTemplate(templateContent) {
   return true;
 }
 
+/**
+ * Collect names declared at the top level of the script
+ * @param {Object} ast - Acorn AST
+ * @returns {string[]} Declared names
+ */
+function collectTopLevelNames(ast) {
+  const names = [];
+
+  for (const node of ast.body) {
+    if (
+      (node.type === 'FunctionDeclaration' ||
+        node.type === 'ClassDeclaration') &&
+      node.id
+    ) {
+      names.push(node.id.name);
+    } else if (node.type === 'VariableDeclaration') {
+      for (const declarator of node.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          names.push(declarator.id.name);
+        }
+      }
+    } else if (node.type === 'ImportDeclaration') {
+      for (const specifier of node.specifiers) {
+        names.push(specifier.local.name);
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Collect import declarations of the script
+ * Imports are hoisted to the top of the generated module, so relative,
+ * bare and `.morph` imports join Vite's module graph like any other import.
+ * @param {string} scriptContent - JavaScript code
+ * @param {Object} ast - Acorn AST
+ * @returns {Array<{source: string, code: string}>} Import specifiers and declaration code
+ */
+function collectImports(scriptContent, ast) {
+  return ast.body
+    .filter((node) => node.type === 'ImportDeclaration')
+    .map((node) => ({
+      source: node.source.value,
+      code: scriptContent.slice(node.start, node.end),
+    }));
+}
+
+/**
+ * Build the module body emitted for the script
+ * Import declarations are hoisted out and blanked with newlines so line numbers
+ * of the remaining code still match the original script.
+ * @param {string} scriptContent - JavaScript code
+ * @param {Object} ast - Acorn AST
+ * @returns {string} Module body
+ */
+function buildModuleBody(scriptContent, ast) {
+  let body = '';
+  let cursor = 0;
+
+  for (const node of ast.body) {
+    if (node.type !== 'ImportDeclaration') continue;
+
+    const removed = scriptContent.slice(node.start, node.end);
+    body += scriptContent.slice(cursor, node.start);
+    body += removed.replace(/[^\n]/g, '');
+    cursor = node.end;
+  }
+
+  return body + scriptContent.slice(cursor);
+}
+
+/**
+ * Transpile a TypeScript script block to JavaScript
+ * Uses Vite's own transformer, so type-only imports are stripped the same
+ * way as in regular `.ts` modules of the project.
+ * @param {string} scriptContent - TypeScript code from script tag
+ * @param {string} filePath - Morph file path
+ * @returns {Promise<{code: string, map: Object}>} JavaScript code and source map back to the TypeScript
+ * @throws {import('../types/index.d.ts').MorphPluginError} When the script cannot be transpiled
+ */
+export async function transpileTypeScript(scriptContent, filePath) {
+  const { transformWithOxc } = await import('vite');
+
+  try {
+    const result = await transformWithOxc(scriptContent, `${filePath}.ts`, {
+      lang: 'ts',
+      sourcemap: true,
+    });
+    return { code: result.code, map: result.map };
+  } catch (transformError) {
+    const firstError = transformError.errors?.[0] || transformError;
+    // Keep the first line of the diagnostic, without terminal colors
+    const message = String(firstError.message || transformError)
+      .replace(/\x1b\[[0-9;]*m/g, '') // eslint-disable-line no-control-regex -- strips ANSI color codes
+      .split('\n')[0]
+      .replace(/^\[[A-Z_]+\]\s*/, '');
+    const location = firstError.loc
+      ? {
+          file: '',
+          line: firstError.loc.line,
+          column: firstError.loc.column + 1,
+          offset: firstError.pos || 0,
+        }
+      : null;
+    throw createMorphError(
+      `TypeScript error: ${message}`,
+      '',
+      location,
+      ErrorCodes.SCRIPT_ERROR
+    );
+  }
+}
+
 /**
  * Process script content and extract helpers
  * @param {string} scriptContent - JavaScript code from script tag
  * @returns {import('../types/index.d.ts').ScriptContent} Script content with helpers
+ * @throws {import('../types/index.d.ts').MorphPluginError} When the script has syntax errors, exports or declares reserved names
  */
 export function processScriptContent(scriptContent) {
   if (!scriptContent) {
     console.log('[vite-plugin-morph] No script content to process');
     return {
       code: '',
+      body: '',
+      imports: [],
       functions: {},
       templates: {},
     };
@@ -247,6 +350,57 @@ export function processScriptContent(scriptContent) {
     scriptContent.substring(0, 200) + '...'
   );
 
+  // The script is emitted as module code, so it must be valid on its own
+  let ast;
+  try {
+    ast = parseScript(scriptContent);
+  } catch (parseError) {
+    const location = parseError.loc
+      ? {
+          file: '',
+          line: parseError.loc.line,
+          column: parseError.loc.column + 1,
+          offset: parseError.pos || 0,
+        }
+      : null;
+    throw createMorphError(
+      // Acorn appends the script-relative position, the location carries it instead
+      `Script syntax error: ${parseError.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+      '',
+      location,
+      ErrorCodes.SCRIPT_ERROR
+    );
+  }
+
+  // The generated module defines the exports, script code stays module-private
+  const exported = ast.body.find((node) => node.type.startsWith('Export'));
+  if (exported) {
+    const { line, column } = getLineInfo(scriptContent, exported.start);
+    throw createMorphError(
+      'Script cannot export declarations. The generated module defines the exports (default render function, template, styles, css, handshake).',
+      '',
+      { file: '', line, column: column + 1, offset: exported.start },
+      ErrorCodes.SCRIPT_ERROR
+    );
+  }
+
+  const reserved = collectTopLevelNames(ast).filter((name) =>
+    RESERVED_NAMES.includes(name)
+  );
+  if (reserved.length > 0) {
+    throw createMorphError(
+      `Script declares reserved name(s): ${reserved.join(', ')}. These names are used by the generated module.`,
+      '',
+      null,
+      ErrorCodes.SCRIPT_ERROR
+    );
+  }
+
+  const imports = collectImports(scriptContent, ast);
+  if (imports.length > 0) {
+    debug(`Parsed imports: ${imports.map((entry) => entry.source).join(', ')}`);
+  }
+
   // Parse helper functions
   const functions = parseHelperFunctions(scriptContent);
   console.log('[vite-plugin-morph] Parsed functions:', Object.keys(functions));
@@ -257,6 +411,8 @@ export function processScriptContent(scriptContent) {
 
   return {
     code: scriptContent,
+    body: buildModuleBody(scriptContent, ast),
+    imports,
     functions,
     templates,
   };
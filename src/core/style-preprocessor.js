@@ -0,0 +1,121 @@
+/**
+ * Style preprocessing for morph files
+ * @fileoverview Routes `<style lang="scss|sass|less|stylus">` blocks through Vite's CSS preprocessor pipeline
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { createMorphError, ErrorCodes } from './errors.js';
+import { debug } from '../utils/logger.js';
+
+/**
+ * Supported `lang` values mapped to the file extension Vite expects
+ * @type {Object<string,string>}
+ */
+const PREPROCESSOR_EXTENSIONS = {
+  scss: 'scss',
+  sass: 'sass',
+  less: 'less',
+  styl: 'styl',
+  stylus: 'styl',
+};
+
+const fallbackConfigs = new Map(); // { root: Promise<ResolvedConfig> }
+
+/**
+ * Check if a style block is compiled by a preprocessor
+ * Vite's preprocessCSS also applies the project's PostCSS config to these
+ * blocks, so they skip the host plugin pass.
+ * @param {import('../types/index.d.ts').StyleBlock} block - Style block
+ * @returns {boolean} True for `lang` blocks other than `css`
+ */
+export function isPreprocessedBlock(block) {
+  const lang = block.attrs?.lang;
+  return !!lang && lang !== 'css';
+}
+
+/**
+ * Get the Vite config used for preprocessing
+ * The plugin passes the resolved project config, so `css.preprocessorOptions`
+ * apply. Direct calls (tests, tools) fall back to a config without a config
+ * file, resolved once per root.
+ * @param {Object} options - Processing options
+ * @returns {Promise<import('vite').ResolvedConfig>} Resolved Vite config
+ */
+async function getViteConfig(options) {
+  if (options.viteConfig) {
+    return options.viteConfig;
+  }
+
+  const root = options.rootDir || process.cwd();
+  if (!fallbackConfigs.has(root)) {
+    const { resolveConfig } = await import('vite');
+    fallbackConfigs.set(
+      root,
+      resolveConfig({ root, configFile: false, logLevel: 'silent' }, 'serve')
+    );
+  }
+  return fallbackConfigs.get(root);
+}
+
+/**
+ * Compile preprocessor style blocks to CSS
+ * Blocks without `lang` (or with `lang="css"`) are returned unchanged.
+ * @param {import('../types/index.d.ts').StyleBlock[]} blocks - Style blocks
+ * @param {string} filePath - Morph file path (preprocessor imports resolve from its directory)
+ * @param {Object} [options={}] - Processing options (`viteConfig`, `rootDir`)
+ * @returns {Promise<{blocks: import('../types/index.d.ts').StyleBlock[], watchFiles: string[]}>}
+ *   Compiled blocks and files the result depends on (`@use`, `@import`)
+ * @throws {import('../types/index.d.ts').MorphPluginError} When a language is unsupported or compilation fails
+ */
+export async function preprocessStyleBlocks(blocks, filePath, options = {}) {
+  const watchFiles = new Set();
+  const compiled = [];
+
+  for (const block of blocks) {
+    if (!isPreprocessedBlock(block)) {
+      compiled.push(block);
+      continue;
+    }
+
+    const lang = block.attrs.lang;
+    const extension = PREPROCESSOR_EXTENSIONS[lang];
+    if (!extension) {
+      throw createMorphError(
+        `Unsupported style language "${lang}". Use one of: css, ${Object.keys(PREPROCESSOR_EXTENSIONS).join(', ')}`,
+        filePath,
+        null,
+        ErrorCodes.INVALID_STYLE_TAG
+      );
+    }
+
+    const config = await getViteConfig(options);
+    const { preprocessCSS } = await import('vite');
+
+    let result;
+    try {
+      result = await preprocessCSS(
+        block.css,
+        `${filePath}.${extension}`,
+        config
+      );
+    } catch (preprocessError) {
+      throw createMorphError(
+        `Failed to compile <style lang="${lang}">: ${preprocessError.message}`,
+        filePath,
+        null,
+        ErrorCodes.CSS_PROCESSING_ERROR
+      );
+    }
+
+    for (const dep of result.deps || []) {
+      watchFiles.add(dep);
+    }
+    debug(
+      `Preprocessed ${lang} style in ${filePath} (${result.deps?.size || 0} dependencies)`
+    );
+    compiled.push({ ...block, css: result.code });
+  }
+
+  return { blocks: compiled, watchFiles: Array.from(watchFiles) };
+}
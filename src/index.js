@@ -23,5 +23,8 @@ export const morph = morphPlugin;
 // Export library builder
 export { buildLibrary };
 
+// Export cache control (purges node_modules/.vite/vite-plugin-morph with a root)
+export { clearCache } from './utils/cache.js';
+
 // Export types for TypeScript users
 export * from './types/index.d.ts';
@@ -5,6 +5,7 @@
 
 import { resolve } from 'path';
 import { createMorphError, ErrorCodes } from '../core/errors.js';
+import { LAYER_NAMES } from '../core/css-layers.js';
 
 /**
  * Default configuration for morph composition and theme system
@@ -15,6 +16,7 @@ const defaultConfig = {
     enabled: true,
     directories: ['themes'],
     defaultTheme: 'default',
+    media: {}, // Theme name -> media query, e.g. { dark: '(prefers-color-scheme: dark)' }
     watch: true,
     outputDir: '.morph/themes',
   },
@@ -37,7 +39,7 @@ const defaultConfig = {
   // Development configuration
   development: {
     verbose: false,
-    sourcemaps: true,
+    sourceMaps: true,
     minify: false,
   },
 
@@ -76,6 +78,37 @@ const defaultConfig = {
     hmr: true,
   },
 
+  // Per-component TypeScript declarations (Component.morph.d.ts)
+  declarations: {
+    enabled: false,
+  },
+
+  // Transform results kept in node_modules/.vite across restarts
+  cache: {
+    enabled: true,
+    maxSize: 50 * 1024 * 1024, // 50MB
+  },
+
+  // Every local and library theme defines the same variables
+  themeContract: {
+    enabled: true,
+    reference: null, // Reference theme (defaults to themes.defaultTheme)
+    variables: [], // Declared contract, replaces the reference theme
+    failOnMismatch: false, // Fail `vite build` instead of warning
+  },
+
+  // Worker threads for `.morph` transforms during `vite build`
+  parallel: {
+    enabled: false,
+    workers: null, // null: available cores minus one
+  },
+
+  // Static pages rendered during `vite build`
+  ssg: {
+    entries: [], // .morph pages relative to the project root
+    css: 'inline', // 'inline' or 'link'
+  },
+
   errorHandling: {
     failOnError: true,
     showLocation: true,
@@ -133,6 +166,17 @@ export function validateConfig(config) {
     errors.push('themes.defaultTheme must be a string');
   }
 
+  const media = config.themes.media;
+  if (
+    media !== undefined &&
+    (typeof media !== 'object' ||
+      media === null ||
+      Array.isArray(media) ||
+      !Object.values(media).every((query) => typeof query === 'string'))
+  ) {
+    errors.push('themes.media must map theme names to media queries');
+  }
+
   // Validate composition configuration
   if (
     typeof config.composition.maxDepth !== 'number' ||
@@ -174,6 +218,12 @@ export function validateConfig(config) {
     }
   }
 
+  // Validate development configuration
+  const sourceMaps = config.development?.sourceMaps;
+  if (sourceMaps !== undefined && typeof sourceMaps !== 'boolean') {
+    errors.push('development.sourceMaps must be a boolean');
+  }
+
   // Validate legacy development configuration
   if (config.developmentLegacy) {
     if (typeof config.developmentLegacy.sourceMaps !== 'boolean') {
@@ -185,6 +235,134 @@ export function validateConfig(config) {
     }
   }
 
+  // Validate declarations configuration
+  if (
+    config.declarations &&
+    typeof config.declarations.enabled !== 'boolean'
+  ) {
+    errors.push('declarations.enabled must be a boolean');
+  }
+
+  // Validate disk cache configuration
+  if (config.cache) {
+    if (
+      config.cache.enabled !== undefined &&
+      typeof config.cache.enabled !== 'boolean'
+    ) {
+      errors.push('cache.enabled must be a boolean');
+    }
+    if (
+      config.cache.maxSize !== undefined &&
+      !(Number.isFinite(config.cache.maxSize) && config.cache.maxSize > 0)
+    ) {
+      errors.push('cache.maxSize must be a positive number of bytes');
+    }
+  }
+
+  // Validate theme contract configuration
+  const contract = config.themeContract;
+  if (contract) {
+    for (const key of ['enabled', 'failOnMismatch']) {
+      if (contract[key] !== undefined && typeof contract[key] !== 'boolean') {
+        errors.push(`themeContract.${key} must be a boolean`);
+      }
+    }
+    if (contract.reference != null && typeof contract.reference !== 'string') {
+      errors.push('themeContract.reference must be a theme name');
+    }
+    if (
+      contract.variables !== undefined &&
+      (!Array.isArray(contract.variables) ||
+        !contract.variables.every(
+          (name) => typeof name === 'string' && name.startsWith('--')
+        ))
+    ) {
+      errors.push('themeContract.variables must be an array of --variables');
+    }
+  }
+
+  // Validate parallel processing configuration
+  if (config.parallel) {
+    if (
+      config.parallel.enabled !== undefined &&
+      typeof config.parallel.enabled !== 'boolean'
+    ) {
+      errors.push('parallel.enabled must be a boolean');
+    }
+    if (
+      config.parallel.workers != null &&
+      !(
+        Number.isInteger(config.parallel.workers) &&
+        config.parallel.workers > 0
+      )
+    ) {
+      errors.push('parallel.workers must be a positive integer');
+    }
+  }
+
+  // Validate static site generation configuration
+  if (config.ssg) {
+    if (
+      !Array.isArray(config.ssg.entries) ||
+      config.ssg.entries.some(
+        (entry) => typeof entry !== 'string' || !entry.endsWith('.morph')
+      )
+    ) {
+      errors.push('ssg.entries must be an array of .morph file paths');
+    }
+    if (!['inline', 'link'].includes(config.ssg.css)) {
+      errors.push("ssg.css must be 'inline' or 'link'");
+    }
+  }
+
+  // Validate CSS modules configuration
+  for (const key of ['keyframes', 'customProperties']) {
+    const value = config.css?.modules?.[key];
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`css.modules.${key} must be a boolean`);
+    }
+  }
+
+  // Validate CSS layers configuration
+  const layers = config.css?.layers;
+  if (layers) {
+    if (layers.enabled !== undefined && typeof layers.enabled !== 'boolean') {
+      errors.push('css.layers.enabled must be a boolean');
+    }
+    if (
+      layers.order !== undefined &&
+      (!Array.isArray(layers.order) ||
+        !layers.order.every((name) => /^[a-zA-Z_-][\w.-]*$/.test(name)))
+    ) {
+      errors.push('css.layers.order must be an array of layer names');
+    } else if (Array.isArray(layers.order) && layers.order.length > 0) {
+      // The plugin emits CSS into these layers, a custom order must place them
+      const missing = Object.values(LAYER_NAMES).filter(
+        (name) => !layers.order.includes(name)
+      );
+      if (missing.length > 0) {
+        errors.push(
+          `css.layers.order must include the layers ${missing.join(', ')}`
+        );
+      }
+    }
+  }
+
+  // Validate CSS injection backend
+  const injection = config.css?.injection;
+  if (injection !== undefined && !['style', 'adopted'].includes(injection)) {
+    errors.push("css.injection must be 'style' or 'adopted'");
+  }
+
+  // Validate undefined CSS variable checks
+  const undefinedVariables = config.css?.undefinedVariables;
+  if (
+    undefinedVariables !== undefined &&
+    !['warn', 'off'].includes(undefinedVariables)
+  ) {
+    errors.push("css.undefinedVariables must be 'warn' or 'off'");
+  }
+
   // Validate error handling configuration
   if (config.errorHandling) {
     if (typeof config.errorHandling.failOnError !== 'boolean') {
@@ -225,11 +403,16 @@ export function validateConfig(config) {
  * @returns {Object} Environment-specific configuration
  */
 export function getEnvConfig(config, env = 'development') {
-  const envConfig = { ...config };
+  // Copy the sections that change, they may be shared with defaultConfig
+  const envConfig = {
+    ...config,
+    development: { ...config.development },
+    hmr: { ...config.hmr },
+  };
 
   if (env === 'production') {
     envConfig.development.verbose = false;
-    envConfig.development.sourcemaps = false;
+    envConfig.development.sourceMaps = false;
     envConfig.development.minify = true;
     envConfig.hmr.enabled = false;
   }
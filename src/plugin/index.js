@@ -25,6 +25,22 @@ import {
   getLocalCssCache,
 } from '../services/library-css-processor.js';
 import { buildCssRuleFromResult } from '../utils/shared.js';
+import {
+  createWorkerPool,
+  getWorkerViteConfig,
+} from '../services/worker-pool.js';
+import {
+  checkThemeContracts,
+  createThemeContractError,
+} from '../services/theme-contract.js';
+import { createMorphWarning, ErrorCodes } from '../core/errors.js';
+import { parseElementRequest } from '../core/custom-element.js';
+import {
+  resolveLayerConfig,
+  layerStylesheet,
+  LAYER_NAMES,
+} from '../core/css-layers.js';
+import { info, warn } from '../utils/logger.js';
 
 /**
  * Process a morph file and return compiled result
@@ -47,6 +63,7 @@ async function processMorphFileForHmr(code, id, options) {
 export function createMorphPlugin(options = {}) {
   console.log('[vite-plugin-morph] 🔧 createMorphPlugin called');
   const resolvedOptions = resolveOptions(options);
+  const layers = resolveLayerConfig(resolvedOptions); // css.layers settings
   console.log('[vite-plugin-morph] ✅ Options resolved');
   let discoveredThemes = null;
   let rootDir = process.cwd();
@@ -55,6 +72,191 @@ export function createMorphPlugin(options = {}) {
   let morphLibraries = []; // Store detected morph libraries
   let libraryCssUrls = new Map(); // Library name → processed CSS URL
   let localThemesCode = ''; // Local themes registration code
+  let localThemes = {}; // Local theme name → {variables, raw}
+  let viteConfig = null; // Resolved Vite config (CSS preprocessor options)
+  let postcssConfig = null; // Promise of the host PostCSS config, loaded on first transform
+  let workerPool = null; // Worker pool of the running build (parallel.enabled)
+  let workerPoolUnavailable = false;
+  let definedCssVariables = null; // Variables of all themes and global CSS (css.undefinedVariables)
+
+  /**
+   * Resolve the themes of a directory
+   * Broken inheritance (unknown or circular parents) fails the build with
+   * the theme file that declared it.
+   * @param {Object} context - Rollup plugin context
+   * @param {string} directory - Themes directory
+   * @returns {Promise<Object>} Themes by name
+   */
+  async function loadThemes(context, directory) {
+    const { extractThemesFromDir } = await import(
+      '../services/theme-variables.js'
+    );
+    try {
+      return await extractThemesFromDir(directory);
+    } catch (themeError) {
+      context.error({
+        message: themeError.message,
+        id: themeError.filePath || directory,
+      });
+    }
+  }
+
+  /**
+   * Collect the local and library theme sources
+   * @param {Object} context - Rollup plugin context
+   * @returns {Promise<Array<{name: string, directory: string, themes: Object, files: Object}>>} Theme sources with resolved themes and their files
+   */
+  async function collectThemeSources(context) {
+    const { findThemeFiles } = await import('../services/theme-variables.js');
+    const localThemesDir = path.join(
+      rootDir,
+      resolvedOptions.localThemes?.directory || 'src/themes'
+    );
+    const sources = [
+      {
+        name: 'host',
+        directory: localThemesDir,
+        themes: localThemes,
+        files: findThemeFiles(localThemesDir),
+      },
+    ];
+    for (const library of morphLibraries) {
+      const directory = path.join(library.path, 'themes');
+      sources.push({
+        name: library.name,
+        directory,
+        themes: await loadThemes(context, directory),
+        files: findThemeFiles(directory),
+      });
+    }
+    return sources;
+  }
+
+  /**
+   * Check that local and library themes define the same variables
+   * Violations are warnings, `themeContract.failOnMismatch` fails builds.
+   * @param {Object} context - Rollup plugin context
+   * @param {Array<{name: string, directory: string, themes: Object}>} sources - Theme sources
+   */
+  function validateThemeContracts(context, sources) {
+    const contract = resolvedOptions.themeContract;
+    if (!contract?.enabled) {
+      return;
+    }
+
+    const warnings = checkThemeContracts(sources, {
+      ...contract,
+      reference: contract.reference || resolvedOptions.themes?.defaultTheme,
+    });
+    if (warnings.length === 0) {
+      return;
+    }
+    if (contract.failOnMismatch && viteConfig?.command === 'build') {
+      throw createThemeContractError(warnings);
+    }
+    for (const warning of warnings) {
+      context.warn(
+        `${warning.message} (${warning.location.file}:${warning.location.line})`
+      );
+    }
+  }
+
+  /**
+   * Collect the variables components may read without a fallback
+   * Theme variables of every source count, as do variables declared in
+   * global stylesheets and `css.variablesFile`.
+   * @param {Array<{name: string, directory: string, themes: Object}>} sources - Theme sources
+   * @returns {Promise<Set<string>|null>} Variable names, null when the check is off or no theme defines variables
+   */
+  async function collectDefinedCssVariables(sources) {
+    if (resolvedOptions.css?.undefinedVariables === 'off') {
+      return null;
+    }
+
+    const {
+      buildThemeRegistry,
+      getRegistryVariables,
+      extractDeclaredVariables,
+    } = await import('../services/theme-variables.js');
+    const variables = getRegistryVariables(buildThemeRegistry(sources));
+    // Without themes every variable would be reported
+    if (variables.size === 0) {
+      return null;
+    }
+
+    const stylesheets = [getCssCollector().getGlobalCss()];
+    const variablesFile = resolvedOptions.css?.variablesFile;
+    if (variablesFile && fs.existsSync(path.resolve(rootDir, variablesFile))) {
+      stylesheets.push(
+        fs.readFileSync(path.resolve(rootDir, variablesFile), 'utf-8')
+      );
+    }
+    for (const css of stylesheets) {
+      for (const name of extractDeclaredVariables(css)) {
+        variables.add(name);
+      }
+    }
+    return variables;
+  }
+
+  /**
+   * Warn about variables a component reads that nothing defines
+   * @param {Object} context - Rollup plugin context
+   * @param {string} id - Component file path
+   * @param {import('../types/index.d.ts').ProcessingResult} result - Processing result
+   * @returns {Promise<void>}
+   */
+  async function warnUndefinedCssVariables(context, id, result) {
+    if (!definedCssVariables || !result.cssVariables?.length) {
+      return;
+    }
+
+    const { findUndefinedVariables } = await import(
+      '../services/theme-variables.js'
+    );
+    const componentName = path.basename(id, '.morph');
+    for (const reference of findUndefinedVariables(
+      result.cssVariables,
+      definedCssVariables
+    )) {
+      const warning = createMorphWarning(
+        `${componentName}: var(${reference.name}) is not defined by any theme and has no fallback`,
+        id,
+        { file: id, line: reference.line, column: reference.column, offset: 0 },
+        ErrorCodes.UNDEFINED_CSS_VARIABLE
+      );
+      const { file, line, column } = warning.location;
+      context.warn(`${warning.message} (${file}:${line}:${column})`);
+    }
+  }
+
+  /**
+   * Get the worker pool of the running build
+   * @returns {import('../services/worker-pool.js').WorkerPool|null} Pool, null when files are processed on the main thread
+   */
+  function getWorkerPool() {
+    if (
+      !resolvedOptions.parallel?.enabled ||
+      viteConfig?.command !== 'build' ||
+      workerPoolUnavailable
+    ) {
+      return null;
+    }
+    if (!workerPool) {
+      // Workers rebuild the preprocessor settings, functions cannot be sent
+      if (viteConfig && !getWorkerViteConfig(viteConfig)) {
+        warn(
+          'Parallel processing disabled: css.preprocessorOptions or resolve.alias contain functions'
+        );
+        workerPoolUnavailable = true;
+        return null;
+      }
+      workerPool = createWorkerPool({
+        size: resolvedOptions.parallel.workers,
+      });
+    }
+    return workerPool;
+  }
 
   console.log('[vite-plugin-morph] 🎯 Plugin initialized');
 
@@ -107,7 +309,11 @@ export function createMorphPlugin(options = {}) {
           const css = fs.readFileSync(cachePath, 'utf-8');
           console.log('[vite-plugin-morph] ✅ Serving CSS:', cachePath);
           res.setHeader('Content-Type', 'text/css');
-          res.end(css);
+          res.end(
+            cachePath.endsWith('.css')
+              ? layerStylesheet(css, LAYER_NAMES.libraries, layers)
+              : css
+          );
         } else {
           console.log('[vite-plugin-morph] ❌ CSS not found, calling next()');
           next();
@@ -182,7 +388,7 @@ export function createMorphPlugin(options = {}) {
           const css = fs.readFileSync(cacheInfo.cachePath, 'utf-8');
           res.setHeader('Content-Type', 'text/css');
           res.setHeader('Cache-Control', 'no-cache');
-          res.end(css);
+          res.end(layerStylesheet(css, LAYER_NAMES.global, layers));
         } else {
           console.log('[vite-plugin-morph] ❌ Cached CSS not found');
           next();
@@ -216,7 +422,7 @@ export function createMorphPlugin(options = {}) {
         const css = fs.readFileSync(cssPath, 'utf-8');
         res.setHeader('Content-Type', 'text/css');
         res.setHeader('Cache-Control', 'no-cache');
-        res.end(css);
+        res.end(layerStylesheet(css, LAYER_NAMES.themes, layers));
       });
 
       // Watch local CSS files
@@ -415,7 +621,8 @@ export function createMorphPlugin(options = {}) {
 
     // Load .morph files and virtual module content
     async load(id) {
-      if (id.endsWith('.morph')) {
+      // Component.morph?element is compiled from the same source in transform()
+      if (id.endsWith('.morph') || parseElementRequest(id)) {
         const fs = await import('fs');
         const code = fs.readFileSync(id.replace(/\?.*$/, ''), 'utf8');
         return code;
@@ -444,7 +651,14 @@ export function createMorphPlugin(options = {}) {
       }
       if (id === '\0virtual:morph-config') {
         const globalCSS = resolvedOptions.globalCSS || {};
-        return `export default ${JSON.stringify({ globalCSS })};`;
+        const injection = resolvedOptions.css?.injection || 'style';
+        const themeMedia = resolvedOptions.themes?.media || {};
+        return `export default ${JSON.stringify({
+          globalCSS,
+          layers,
+          injection,
+          themeMedia,
+        })};`;
       }
       if (id === '\0virtual:morph-local-themes') {
         const code = localThemesCode || '';
@@ -457,20 +671,53 @@ export function createMorphPlugin(options = {}) {
     },
 
     // Transform .morph files to JavaScript
-    async transform(code, id) {
+    async transform(code, id, transformOptions) {
       console.log('[vite-plugin-morph] Transform called for:', id);
 
-      if (!id || !id.endsWith('.morph')) {
+      if (!id) {
         return null;
       }
+      // Component.morph?element registers the component as a Custom Element
+      const elementRequest = parseElementRequest(id);
+      if (!elementRequest && !id.endsWith('.morph')) {
+        return null;
+      }
+      const filePath = elementRequest ? elementRequest.filePath : id;
 
       try {
-        const result = await processMorphFile(code, id, {
+        if (!postcssConfig) {
+          postcssConfig = loadPostCSSConfig(rootDir);
+        }
+
+        const processOptions = {
           ...resolvedOptions,
           cssVarsFile: resolvedOptions.css?.variablesFile,
           rootDir,
+          viteConfig,
+          postcssPlugins: (await postcssConfig).plugins,
+          postcssConfigHash: (await postcssConfig).hash,
+          ssr: transformOptions?.ssr === true,
           test: process.env.NODE_ENV === 'test',
-        });
+          element: elementRequest?.tagName,
+        };
+        const pool = getWorkerPool();
+        const result = pool
+          ? await pool.processFile(code, filePath, processOptions)
+          : await processMorphFile(code, filePath, processOptions);
+
+        // Files pulled in by style preprocessors and PostCSS plugins trigger HMR
+        for (const file of result.metadata?.watchFiles || []) {
+          this.addWatchFile(file);
+        }
+
+        await warnUndefinedCssVariables(this, filePath, result);
+
+        if (result.declaration && !elementRequest) {
+          const { writeComponentDeclaration } = await import(
+            '../core/declarations.js'
+          );
+          await writeComponentDeclaration(id, result.declaration);
+        }
 
         return {
           code: result.code,
@@ -657,6 +904,7 @@ export function createMorphPlugin(options = {}) {
     // Configure plugin
     configResolved(config) {
       rootDir = config.root || rootDir;
+      viteConfig = config;
       validatePluginConfig(resolvedOptions, config);
     },
 
@@ -674,6 +922,7 @@ export function createMorphPlugin(options = {}) {
         chunkingEnabled: chunkingOptions.enabled,
         chunkStrategy: chunkingOptions.strategy,
         maxChunkSize: chunkingOptions.maxChunkSize,
+        layers,
       });
 
       // Read and collect global CSS files if configured
@@ -812,30 +1061,35 @@ export function createMorphPlugin(options = {}) {
         for (const lib of morphLibraries) {
           console.log('  -', lib.name, 'at', lib.path);
         }
-
-        // Scan local themes directory
-        const localThemesConfig = resolvedOptions.localThemes || {};
-        const localThemesDir = path.join(
-          rootDir,
-          localThemesConfig.directory || 'src/themes'
+      } catch (error) {
+        console.error(
+          '[vite-plugin-morph] ❌ Error detecting morph libraries:',
+          error.message,
+          error.stack
         );
+      }
 
-        if (fs.existsSync(localThemesDir)) {
-          console.log('[vite-plugin-morph] 🔍 Scanning local themes...');
+      // Scan local themes directory
+      const localThemesConfig = resolvedOptions.localThemes || {};
+      const localThemesDir = path.join(
+        rootDir,
+        localThemesConfig.directory || 'src/themes'
+      );
 
-          const { extractThemesFromDir } =
-            await import('../services/theme-variables.js');
-          const localThemes = await extractThemesFromDir(localThemesDir);
+      if (fs.existsSync(localThemesDir)) {
+        console.log('[vite-plugin-morph] 🔍 Scanning local themes...');
 
-          const localThemeNames = Object.keys(localThemes);
-          console.log(
-            '[vite-plugin-morph] ✅ Found local themes:',
-            localThemeNames
-          );
+        localThemes = await loadThemes(this, localThemesDir);
+
+        const localThemeNames = Object.keys(localThemes);
+        console.log(
+          '[vite-plugin-morph] ✅ Found local themes:',
+          localThemeNames
+        );
 
-          if (localThemeNames.length > 0) {
-            // Register local themes in global registry
-            const localThemesRegistration = `
+        if (localThemeNames.length > 0) {
+          // Register local themes in global registry
+          const localThemesRegistration = `
 // Register local themes
 if (typeof window !== 'undefined') {
   window.__MORPH_THEMES__ = window.__MORPH_THEMES__ || {};
@@ -856,26 +1110,29 @@ if (typeof window !== 'undefined') {
   console.log('[Morph Client] Registered local themes:', ${JSON.stringify(localThemeNames)});
 }
 `;
-            // Store for virtual module
-            localThemesCode = localThemesRegistration;
-          }
+          // Store for virtual module
+          localThemesCode = localThemesRegistration;
         }
-      } catch (error) {
-        console.error(
-          '[vite-plugin-morph] ❌ Error detecting morph libraries:',
-          error.message,
-          error.stack
-        );
       }
+
+      const themeSources = await collectThemeSources(this);
+      validateThemeContracts(this, themeSources);
+      definedCssVariables = await collectDefinedCssVariables(themeSources);
     },
 
     async buildEnd() {
+      // Every module is transformed at this point
+      if (workerPool) {
+        await workerPool.destroy();
+        workerPool = null;
+      }
+
       // Finalize CSS collection and generate bundle
       await finalizeCssCollection();
     },
 
     // Copy processed CSS to dist/assets for production builds
-    generateBundle(options, bundle) {
+    async generateBundle(options, bundle) {
       const cacheDir = path.join(rootDir, '.vite', 'cache', 'morph-processed');
 
       for (const [libraryName, cssUrl] of libraryCssUrls.entries()) {
@@ -889,7 +1146,7 @@ if (typeof window !== 'undefined') {
           bundle[assetName] = {
             type: 'asset',
             fileName: `assets/${assetName}`,
-            source: css,
+            source: layerStylesheet(css, LAYER_NAMES.libraries, layers),
           };
 
           console.log(
@@ -897,6 +1154,48 @@ if (typeof window !== 'undefined') {
           );
         }
       }
+
+      // Render static pages (client build only)
+      const ssgEntries = resolvedOptions.ssg?.entries || [];
+      if (
+        ssgEntries.length > 0 &&
+        viteConfig?.command === 'build' &&
+        !viteConfig.build?.ssr
+      ) {
+        const { createStaticSiteGenerator } = await import(
+          '../services/static-site-generator.js'
+        );
+        const defaultTheme = resolvedOptions.themes?.defaultTheme;
+        const generator = createStaticSiteGenerator({
+          root: rootDir,
+          entries: ssgEntries,
+          css: resolvedOptions.ssg.css,
+          base: viteConfig.base,
+          layers,
+          theme:
+            localThemes[defaultTheme] || Object.values(localThemes)[0] || null,
+          globalCss: getCssCollector().getGlobalCss(),
+          viteConfig,
+          // Without a config file, entries load through their own plugin instance
+          plugins: [createMorphPlugin({ ...options, ssg: { entries: [] } })],
+        });
+
+        for (const page of await generator.generate()) {
+          this.emitFile({
+            type: 'asset',
+            fileName: page.fileName,
+            source: page.html,
+          });
+          if (page.cssFileName) {
+            this.emitFile({
+              type: 'asset',
+              fileName: page.cssFileName,
+              source: page.css,
+            });
+          }
+          info(`Rendered static page ${page.fileName}`);
+        }
+      }
     },
   };
 }
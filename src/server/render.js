@@ -0,0 +1,119 @@
+/**
+ * Server-side rendering of morph components
+ * @fileoverview Server helpers for @peter.naydenov/vite-plugin-morph/server
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import {
+  LAYER_NAMES,
+  createLayerOrderStatement,
+  wrapInLayer,
+} from '../core/css-layers.js';
+import { componentStyleId } from '../client/style-id.js';
+
+/**
+ * Escape CSS for inlining inside a `<style>` element
+ * @param {string} css - CSS content
+ * @returns {string} CSS that cannot close the element early
+ */
+function escapeStyleContent(css) {
+  return css.replace(/<\/style/gi, '<\\/style');
+}
+
+/**
+ * Build the `:root` block of the active theme
+ * @param {{variables?: Object<string,string>}|Object<string,string>|null} theme - Theme object (as exported by `virtual:morph-themes`) or a variables map
+ * @returns {string} Theme CSS, empty when the theme has no variables
+ */
+function createThemeCss(theme) {
+  const variables = theme?.variables || theme || {};
+  const declarations = Object.entries(variables)
+    .filter(([prop]) => prop.startsWith('--'))
+    .map(([prop, value]) => `${prop}: ${value};`);
+
+  return declarations.length > 0 ? `:root { ${declarations.join(' ')} }` : '';
+}
+
+/**
+ * Render a morph component on the server
+ * SSR builds of `.morph` files never touch the DOM. Instead, every component
+ * rendered during the call reports its scoped CSS, so the response head can
+ * inline exactly the styles the HTML needs. The `<style>` ids match the ones
+ * the client runtime uses, so hydrating modules update them instead of
+ * injecting duplicates. Global CSS of the CSS-only `.morph` files imported
+ * on the server is inlined before the component CSS.
+ * @param {Function} render - Default export of a `.morph` module
+ * @param {Object} [data={}] - Data passed to the `render` command
+ * @param {Object} [options={}] - Render options
+ * @param {{variables?: Object<string,string>}|Object<string,string>} [options.theme] - Active theme
+ * @param {{enabled: boolean, order: string[]}} [options.layers] - Layer settings (`layers` of `virtual:morph-config`)
+ * @returns {{html: string, css: Object<string,string>, globalCss: Object<string,string>, themeCss: string, head: string}}
+ *   Rendered HTML, scoped CSS per component, global CSS per CSS-only file, theme variables and the `<style>` elements for the head
+ */
+export function renderToString(render, data = {}, options = {}) {
+  if (typeof render !== 'function') {
+    throw new TypeError(
+      'renderToString expects the default export of a .morph module'
+    );
+  }
+
+  const styles = new Map();
+  const previous = globalThis.__MORPH_SSR_STYLES__;
+  globalThis.__MORPH_SSR_STYLES__ = styles;
+
+  let html;
+  try {
+    html = render('render', data);
+  } finally {
+    globalThis.__MORPH_SSR_STYLES__ = previous;
+  }
+
+  // Nested renders report to the outer collector as well
+  if (previous) {
+    for (const [componentName, css] of styles) {
+      previous.set(componentName, css);
+    }
+  }
+
+  const layers = options.layers?.enabled ? options.layers : null;
+  let themeCss = createThemeCss(options.theme);
+  if (layers) {
+    themeCss = wrapInLayer(themeCss, LAYER_NAMES.themes);
+  }
+
+  const head = [];
+  if (layers) {
+    head.push(
+      `<style id="morph-layer-order">${createLayerOrderStatement(layers.order)}</style>`
+    );
+  }
+  const globalStyles = globalThis.__MORPH_SSR_GLOBAL_STYLES__ || new Map();
+  for (const [fileName, css] of globalStyles) {
+    if (css) {
+      head.push(
+        `<style id="${componentStyleId(fileName)}">${escapeStyleContent(css)}</style>`
+      );
+    }
+  }
+  if (themeCss) {
+    head.push(
+      `<style id="morph-theme-host">${escapeStyleContent(themeCss)}</style>`
+    );
+  }
+  for (const [componentName, css] of styles) {
+    if (css) {
+      head.push(
+        `<style id="${componentStyleId(componentName)}">${escapeStyleContent(css)}</style>`
+      );
+    }
+  }
+
+  return {
+    html,
+    css: Object.fromEntries(styles),
+    globalCss: Object.fromEntries(globalStyles),
+    themeCss,
+    head: head.join('\n'),
+  };
+}
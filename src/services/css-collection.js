@@ -11,6 +11,12 @@ import { join } from 'path';
 import { debug, info, warn } from '../utils/logger.js';
 import { createThemeDiscovery } from '../services/theme-discovery.js';
 import { getCSSTreeShaker } from '../services/css-tree-shaker.js';
+import {
+  createLayerOrderStatement,
+  wrapInLayer,
+  DEFAULT_LAYER_ORDER,
+  LAYER_NAMES,
+} from '../core/css-layers.js';
 
 /**
  * CSS Collection Service for bundling and chunking
@@ -25,6 +31,7 @@ export class CSSCollectionService {
    * @param {number} [options.maxChunkSize=51200] - Max chunk size in bytes
    * @param {string} [options.chunkStrategy='size'] - Chunking strategy ('size', 'category', 'manual')
    * @param {boolean} [options.cacheEnabled=true] - Enable cache invalidation
+   * @param {{enabled: boolean, order: string[]}} [options.layers] - Cascade layer settings (`css.layers`)
    */
   constructor(options = {}) {
     this.outputDir = options.outputDir || 'dist/components';
@@ -37,6 +44,10 @@ export class CSSCollectionService {
     this.chunks = new Map(); // For manual chunking
     this.cacheEnabled = options.cacheEnabled !== false;
     this.cacheManifest = new Map(); // Cache manifest for invalidation
+    this.layers = options.layers || {
+      enabled: false,
+      order: DEFAULT_LAYER_ORDER,
+    };
   }
 
   /**
@@ -295,18 +306,31 @@ export class CSSCollectionService {
     const cssParts = [];
 
     // Add layer hierarchy declaration
-    cssParts.push('@layer reset, global, components, themes;');
+    cssParts.push(createLayerOrderStatement(this.layers.order));
 
-    // Add each component's CSS (already wrapped in @layer components)
+    // Add each component's CSS
     for (const [componentName, css] of components) {
       cssParts.push('');
       cssParts.push(`/* ${componentName} */`);
-      cssParts.push(css);
+      cssParts.push(this.layerComponentCss(css));
     }
 
     return cssParts.join('\n');
   }
 
+  /**
+   * Wrap component CSS in the components layer when layers are enabled
+   * CSS that is already layered (processed morph components) is kept as is.
+   * @param {string} css - Component CSS
+   * @returns {string} Layered CSS
+   */
+  layerComponentCss(css) {
+    if (!this.layers.enabled || /^\s*@layer\s+components\s*\{/.test(css)) {
+      return css;
+    }
+    return wrapInLayer(css, LAYER_NAMES.components);
+  }
+
   /**
    * Generate chunk manifest for loading management
    */
@@ -339,13 +363,19 @@ export class CSSCollectionService {
     const cssParts = [];
 
     // Add layer hierarchy declaration
-    cssParts.push('@layer reset, global, components, themes;');
+    cssParts.push(createLayerOrderStatement(this.layers.order));
 
-    // Add each component's CSS (already wrapped in @layer components)
+    // Global CSS files go below the components
+    if (this.layers.enabled && this.globalCss.size > 0) {
+      cssParts.push('');
+      cssParts.push(wrapInLayer(this.getGlobalCss(), LAYER_NAMES.global));
+    }
+
+    // Add each component's CSS
     for (const [componentName, css] of this.components) {
       cssParts.push('');
       cssParts.push(`/* ${componentName} */`);
-      cssParts.push(css);
+      cssParts.push(this.layerComponentCss(css));
     }
 
     return cssParts.join('\n');
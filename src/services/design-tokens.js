@@ -0,0 +1,322 @@
+/**
+ * Design Tokens Service
+ * Loads W3C Design Tokens (DTCG) files as themes
+ * @fileoverview `$value`/`$type` tokens and `{group.token}` aliases flattened into CSS custom properties
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { createMorphError, ErrorCodes } from '../core/errors.js';
+
+/**
+ * File suffix of design token themes (`dark.tokens.json`)
+ */
+export const DESIGN_TOKENS_SUFFIX = '.tokens.json';
+
+const ALIAS = /\{([^{}]+)\}/g;
+const FULL_ALIAS = /^\{([^{}]+)\}$/;
+
+/**
+ * Composite token types written as one CSS value, with the type of each part
+ */
+const COMPOSITE_TYPES = {
+  shadow: [
+    ['offsetX', 'dimension'],
+    ['offsetY', 'dimension'],
+    ['blur', 'dimension'],
+    ['spread', 'dimension'],
+    ['color', 'color'],
+  ],
+  border: [
+    ['width', 'dimension'],
+    ['style', 'strokeStyle'],
+    ['color', 'color'],
+  ],
+  transition: [
+    ['duration', 'duration'],
+    ['timingFunction', 'cubicBezier'],
+    ['delay', 'duration'],
+  ],
+};
+
+/**
+ * Types of the parts of a typography token, which becomes one variable per part
+ */
+const TYPOGRAPHY_PARTS = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  letterSpacing: 'dimension',
+  lineHeight: 'number',
+};
+
+/**
+ * Check whether parsed JSON is a design tokens file
+ * Plugin themes have a `variables` map, token files have `$value` leaves.
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True for DTCG tokens
+ */
+export function isDesignTokens(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  if ('variables' in data) {
+    return false;
+  }
+
+  const hasToken = (node) =>
+    Object.entries(node).some(
+      ([key, child]) =>
+        !key.startsWith('$') &&
+        child !== null &&
+        typeof child === 'object' &&
+        ('$value' in child || hasToken(child))
+    );
+  return hasToken(data);
+}
+
+/**
+ * Collect the tokens of a file by path
+ * Groups pass their `$type` down to tokens without one.
+ * @param {Object} group - Token group
+ * @param {string[]} path - Path of the group
+ * @param {string|undefined} type - Inherited type
+ * @param {Map<string, {path: string[], value: *, type: string|undefined}>} tokens - Collected tokens
+ */
+function collectTokens(group, path, type, tokens) {
+  const groupType = group.$type || type;
+
+  for (const [key, child] of Object.entries(group)) {
+    if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+
+    const childPath = [...path, key];
+    if ('$value' in child) {
+      tokens.set(childPath.join('.'), {
+        path: childPath,
+        value: child.$value,
+        type: child.$type || groupType,
+      });
+    } else {
+      collectTokens(child, childPath, groupType, tokens);
+    }
+  }
+}
+
+/**
+ * Format a color value
+ * @param {string|Object} color - Color string or DTCG color object
+ * @returns {string} CSS color
+ */
+function formatColor(color) {
+  if (typeof color === 'string') {
+    return color;
+  }
+  if (color.hex && (color.alpha === undefined || color.alpha === 1)) {
+    return color.hex;
+  }
+  const alpha = color.alpha === undefined ? '' : ` / ${color.alpha}`;
+  return `color(${color.colorSpace} ${color.components.join(' ')}${alpha})`;
+}
+
+/**
+ * Format a font family
+ * @param {string} family - Font family name
+ * @returns {string} Quoted when the name has spaces
+ */
+function formatFontFamily(family) {
+  return /\s/.test(family) && !/^["']/.test(family) ? `"${family}"` : family;
+}
+
+/**
+ * Format a resolved token value as CSS
+ * @param {*} value - Resolved value (aliases replaced)
+ * @param {string} [type] - Token type
+ * @returns {string|null} CSS value, null when the value needs one variable per part
+ */
+export function formatTokenValue(value, type) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+
+  if (Array.isArray(value)) {
+    switch (type) {
+      case 'cubicBezier':
+        return `cubic-bezier(${value.join(', ')})`;
+      case 'fontFamily':
+        return value.map(formatFontFamily).join(', ');
+      case 'gradient':
+        return value
+          .map(
+            (stop) =>
+              `${formatColor(stop.color)} ${Math.round(stop.position * 1000) / 10}%`
+          )
+          .join(', ');
+      default:
+        return value.map((entry) => formatTokenValue(entry, type)).join(', ');
+    }
+  }
+
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  if ('value' in value && 'unit' in value) {
+    return `${value.value}${value.unit}`;
+  }
+  if (type === 'color' || 'colorSpace' in value) {
+    return formatColor(value);
+  }
+
+  const parts = COMPOSITE_TYPES[type];
+  if (!parts) {
+    return null;
+  }
+  const formatted = parts
+    .filter(([key]) => value[key] !== undefined)
+    .map(([key, partType]) => formatTokenValue(value[key], partType));
+  return `${value.inset ? 'inset ' : ''}${formatted.join(' ')}`;
+}
+
+/**
+ * Convert a token path to a custom property name
+ * @param {string[]} path - Token path (`['color', 'primary']`)
+ * @returns {string} Variable name (`--color-primary`)
+ */
+export function tokenVariableName(path) {
+  return `--${path.map((segment) => segment.replace(/[^\w-]+/g, '-')).join('-')}`;
+}
+
+/**
+ * Convert a camelCase key to kebab-case
+ * @param {string} key - Key
+ * @returns {string} Kebab-case key
+ */
+function kebabCase(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Flatten design tokens into CSS custom properties
+ * Aliases (`{color.primary}`) resolve to the referenced value, also inside
+ * composite values and longer strings. Typography tokens become one variable
+ * per part (`--heading-font-size`).
+ * @param {Object} tokens - Parsed DTCG JSON
+ * @param {string} [filePath] - Token file (error location)
+ * @returns {Object<string, string>} Variables by name (with `--` prefix)
+ * @throws {import('../types/index.d.ts').MorphPluginError} When an alias is unknown or circular
+ * @example
+ * designTokensToVariables({
+ *   color: {
+ *     $type: 'color',
+ *     blue: { $value: '#0070f3' },
+ *     primary: { $value: '{color.blue}' },
+ *   },
+ * });
+ * // { '--color-blue': '#0070f3', '--color-primary': '#0070f3' }
+ */
+export function designTokensToVariables(tokens, filePath = 'tokens.json') {
+  const collected = new Map();
+  collectTokens(tokens, [], undefined, collected);
+  const resolved = new Map(); // Token path -> {value, type}
+
+  const resolveToken = (name, chain) => {
+    if (resolved.has(name)) {
+      return resolved.get(name);
+    }
+    if (chain.includes(name)) {
+      throw createMorphError(
+        `Circular design token alias: ${[...chain, name].join(' -> ')}`,
+        filePath,
+        null,
+        ErrorCodes.CONFIG_ERROR
+      );
+    }
+
+    const token = collected.get(name);
+    const resolveValue = (value) => {
+      if (typeof value === 'string') {
+        const alias = value.match(FULL_ALIAS);
+        if (alias) {
+          return resolveAlias(alias[1]).value;
+        }
+        return value.replace(ALIAS, (match, target) => {
+          const { value: aliased, type } = resolveAlias(target);
+          return formatTokenValue(aliased, type) ?? match;
+        });
+      }
+      if (Array.isArray(value)) {
+        return value.map(resolveValue);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([key, part]) => [key, resolveValue(part)])
+        );
+      }
+      return value;
+    };
+    const resolveAlias = (target) => {
+      if (!collected.has(target)) {
+        throw createMorphError(
+          `Design token '${name}' references unknown token '${target}'`,
+          filePath,
+          null,
+          ErrorCodes.CONFIG_ERROR
+        );
+      }
+      return resolveToken(target, [...chain, name]);
+    };
+
+    const value = resolveValue(token.value);
+    // An alias without its own `$type` takes the type of its target
+    const target =
+      typeof token.value === 'string' && token.value.match(FULL_ALIAS);
+    const type =
+      token.type || (target ? resolveAlias(target[1]).type : undefined);
+    const result = { value, type };
+    resolved.set(name, result);
+    return result;
+  };
+
+  const variables = {};
+  for (const [name, token] of collected) {
+    const { value, type } = resolveToken(name, []);
+    const variable = tokenVariableName(token.path);
+    const formatted = formatTokenValue(value, type);
+
+    if (formatted !== null) {
+      variables[variable] = formatted;
+    } else if (value && typeof value === 'object') {
+      for (const [key, part] of Object.entries(value)) {
+        const css = formatTokenValue(part, TYPOGRAPHY_PARTS[key]);
+        if (css !== null) {
+          variables[`${variable}-${kebabCase(key)}`] = css;
+        }
+      }
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Write variables as a `:root` rule
+ * @param {Object<string, string>} variables - Variables by name
+ * @returns {string} Theme CSS
+ */
+export function variablesToCss(variables) {
+  const declarations = Object.entries(variables)
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n');
+  return `:root {\n${declarations}\n}\n`;
+}
+
+/**
+ * Convert a design tokens file to a theme
+ * @param {Object} tokens - Parsed DTCG JSON
+ * @param {string} name - Theme name
+ * @param {string} [filePath] - Token file (error location)
+ * @returns {{name: string, variables: Object<string, string>, components: Object, raw: string}} Theme usable by ThemeRuntime and themesControl
+ */
+export function designTokensToTheme(tokens, name, filePath) {
+  const variables = designTokensToVariables(tokens, filePath);
+  return { name, variables, components: {}, raw: variablesToCss(variables) };
+}
@@ -6,16 +6,19 @@
 
 import { build } from 'vite';
 import { writeFile, mkdir, readFile, copyFile } from 'fs/promises';
+import { existsSync } from 'fs';
 import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { glob } from 'glob';
 import { info, warn, debug } from '../utils/logger.js';
+import { createMorphError, ErrorCodes } from '../core/errors.js';
 import { createThemeDiscovery } from './theme-discovery.js';
 import { getCssCollector } from './css-collection.js';
 import {
   extractThemesFromDir,
   extractThemeVariables,
 } from './theme-variables.js';
+import { DESIGN_TOKENS_SUFFIX, designTokensToTheme } from './design-tokens.js';
 
 /**
  * Library Builder Service
@@ -29,6 +32,7 @@ export class LibraryBuilder {
     this.themesDir = options.themesDir || 'src/themes';
     this.stylesDir = options.stylesDir || 'src/styles';
     this.discoveredThemes = new Map(); // Store themes for build process
+    this.parallel = options.parallel || null; // Worker pool settings of the morph plugin
   }
 
   /**
@@ -157,6 +161,36 @@ ${exports}
     );
   }
 
+  /**
+   * Read the client runtime with the modules it imports
+   * runtime.js imports its helpers by relative path, so they are copied next
+   * to it in the library output.
+   * @returns {Promise<Map<string, string>>} Source by file name, runtime.js first
+   */
+  async readRuntimeModules() {
+    const clientDir = join(
+      dirname(fileURLToPath(import.meta.url)),
+      '../client'
+    );
+    const modules = new Map();
+    const pending = ['runtime.js'];
+
+    while (pending.length > 0) {
+      const fileName = pending.shift();
+      if (modules.has(fileName)) continue;
+
+      const source = await readFile(join(clientDir, fileName), 'utf-8');
+      modules.set(fileName, source);
+      for (const [, imported] of source.matchAll(
+        /from\s+['"]\.\/([\w.-]+\.js)['"]/g
+      )) {
+        pending.push(imported);
+      }
+    }
+
+    return modules;
+  }
+
   /**
    * Build library with Vite
    * @param {Map} themes - Discovered themes
@@ -215,6 +249,7 @@ ${exports}
               enabled: false, // Disable chunking for library builds
             },
           },
+          ...(this.parallel && { parallel: this.parallel }),
         }),
         // Library mode post-processing plugin
         {
@@ -290,17 +325,15 @@ ${exports}
 
             debug(`Copied ${cssFiles.length} CSS files from ${self.stylesDir}`);
 
-            // Copy runtime.js from plugin directory
-            const pluginDir = dirname(fileURLToPath(import.meta.url));
-            const runtimePath = join(pluginDir, '../client/runtime.js');
+            // Copy runtime.js and the modules it imports from plugin directory
             try {
-              const runtimeSource = await readFile(runtimePath, 'utf-8');
-              bundle['runtime.js'] = {
-                type: 'asset',
-                fileName: 'runtime.js',
-                source: runtimeSource,
-              };
-              debug(`Copied runtime.js from plugin`);
+              const runtimeModules = await self.readRuntimeModules();
+              for (const [fileName, source] of runtimeModules) {
+                bundle[fileName] = { type: 'asset', fileName, source };
+              }
+              debug(
+                `Copied ${[...runtimeModules.keys()].join(', ')} from plugin`
+              );
             } catch (error) {
               warn(`Failed to copy runtime.js: ${error.message}`);
             }
@@ -422,29 +455,49 @@ export { applyStyles, themesControl } from './runtime.js';
     const themesSrc = join(this.rootDir, this.themesDir);
     const themesDest = join(this.outputDir, 'themes');
 
-    try {
-      const themeFiles = await glob('**/*', {
-        cwd: themesSrc,
-        absolute: false,
-      });
-
-      if (themeFiles.length > 0) {
-        await mkdir(themesDest, { recursive: true });
-
-        for (const themeFile of themeFiles) {
-          const srcPath = join(themesSrc, themeFile);
-          const destPath = join(themesDest, themeFile);
-          await mkdir(dirname(destPath), { recursive: true });
-          await copyFile(srcPath, destPath);
-        }
+    if (!existsSync(themesSrc)) {
+      debug(`No themes directory to copy`);
+      return;
+    }
+
+    const themeFiles = await glob('**/*', {
+      cwd: themesSrc,
+      absolute: false,
+      nodir: true,
+    });
+    if (themeFiles.length === 0) {
+      debug(`No theme files found in ${this.themesDir}`);
+      return;
+    }
 
-        debug(`Copied ${themeFiles.length} theme files from ${this.themesDir}`);
-      } else {
-        debug(`No theme files found in ${this.themesDir}`);
+    await mkdir(themesDest, { recursive: true });
+    for (const themeFile of themeFiles) {
+      const srcPath = join(themesSrc, themeFile);
+      const destPath = join(themesDest, themeFile);
+      await mkdir(dirname(destPath), { recursive: true });
+      await copyFile(srcPath, destPath);
+
+      // The client module loads every theme as `themes/<name>.css`, a broken
+      // token file fails the build instead of shipping without its CSS
+      if (themeFile.endsWith(DESIGN_TOKENS_SUFFIX)) {
+        const name = themeFile.slice(0, -DESIGN_TOKENS_SUFFIX.length);
+        let tokens;
+        try {
+          tokens = JSON.parse(await readFile(srcPath, 'utf-8'));
+        } catch (parseError) {
+          throw createMorphError(
+            `Invalid design tokens file: ${parseError.message}`,
+            srcPath,
+            null,
+            ErrorCodes.CONFIG_ERROR
+          );
+        }
+        const { raw } = designTokensToTheme(tokens, name, srcPath);
+        await writeFile(join(themesDest, `${name}.css`), raw, 'utf-8');
       }
-    } catch (error) {
-      debug(`No themes directory to copy`);
     }
+
+    debug(`Copied ${themeFiles.length} theme files from ${this.themesDir}`);
   }
 
   /**
@@ -531,6 +584,8 @@ if (typeof window !== 'undefined') {
 ${cssImports}
 ${themeImports}
 import { setMorphConfig, themesControl } from './runtime.js';
+import { componentStyleId } from './style-id.js';
+import { applyNonce } from './security.js';
 ${applyStylesCode}
 ${themeRegistration}
 
@@ -585,11 +640,12 @@ function applyStyles() {
   // Inject CSS into DOM via <style> tags for development
   if (typeof document !== 'undefined') {
     for (const [componentName, cssRule] of Object.entries(libraryComponentsCSS)) {
-      const styleId = 'morph-css-' + componentName.replace(/[^a-zA-Z0-9]/g, '-');
+      const styleId = componentStyleId(componentName);
       let style = document.getElementById(styleId);
       if (!style) {
         style = document.createElement('style');
         style.id = styleId;
+        applyNonce(style);
         document.head.appendChild(style);
       }
       style.textContent = cssRule;
@@ -6,6 +6,8 @@
 
 import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
 import { join, dirname, resolve } from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 import { createHash } from 'crypto';
 import { debug, info, warn } from '../utils/logger.js';
 
@@ -351,10 +353,48 @@ export function isCacheValid(library, cacheDir) {
   return isValid;
 }
 
+/**
+ * Normalize the `plugins` of a PostCSS config to an array of plugins
+ * Object form (`{ tailwindcss: {}, autoprefixer: false }`) is resolved from
+ * the host project, as postcss-load-config does.
+ * @param {Array|Object} plugins - Configured plugins
+ * @param {string} projectRoot - Path to host project
+ * @returns {Promise<Array>} PostCSS plugins
+ */
+async function normalizePostCSSPlugins(plugins, projectRoot) {
+  if (!plugins) {
+    return [];
+  }
+  if (Array.isArray(plugins)) {
+    return plugins.filter(Boolean);
+  }
+
+  const require = createRequire(join(projectRoot, 'package.json'));
+  const normalized = [];
+
+  for (const [name, pluginOptions] of Object.entries(plugins)) {
+    if (pluginOptions === false) continue;
+
+    const pluginModule = await import(
+      pathToFileURL(require.resolve(name)).href
+    );
+    const plugin = pluginModule.default || pluginModule;
+    normalized.push(
+      pluginOptions && Object.keys(pluginOptions).length > 0
+        ? plugin(pluginOptions)
+        : plugin()
+    );
+  }
+
+  return normalized;
+}
+
 /**
  * Load host project's PostCSS config
+ * Supports array and object `plugins` and configs exported as functions.
  * @param {string} projectRoot - Path to host project
- * @returns {Promise<Object>} PostCSS config object
+ * @returns {Promise<{plugins: Array, hash: string|null}>} PostCSS plugins and
+ *   the hash of the config file (null without one), part of the cache key
  */
 export async function loadPostCSSConfig(projectRoot) {
   const configFiles = [
@@ -368,12 +408,19 @@ export async function loadPostCSSConfig(projectRoot) {
     if (existsSync(configPath)) {
       try {
         // Dynamic import for config files
-        const configModule = await import(configPath);
-        const config = configModule.default || configModule;
+        const configModule = await import(pathToFileURL(configPath).href);
+        const exported = configModule.default || configModule;
+        const config =
+          typeof exported === 'function'
+            ? await exported({ env: process.env.NODE_ENV, cwd: projectRoot })
+            : exported;
         debug(`Loaded PostCSS config from: ${configFile}`);
 
         return {
-          plugins: config.plugins || [],
+          plugins: await normalizePostCSSPlugins(config.plugins, projectRoot),
+          hash: createHash('md5')
+            .update(readFileSync(configPath))
+            .digest('hex'),
         };
       } catch (error) {
         warn(
@@ -387,6 +434,7 @@ export async function loadPostCSSConfig(projectRoot) {
   debug('No PostCSS config found, using defaults');
   return {
     plugins: [],
+    hash: null,
   };
 }
 
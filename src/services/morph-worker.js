@@ -0,0 +1,101 @@
+/**
+ * Morph Worker
+ * Worker thread entry of the worker pool
+ * @fileoverview Runs `processMorphFile` for files posted by `WorkerPool`
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { parentPort } from 'worker_threads';
+import { processMorphFile } from '../core/processor.js';
+import { loadPostCSSConfig } from './library-css-processor.js';
+
+const postcssConfigs = new Map(); // rootDir -> Promise of the PostCSS config
+const viteConfigs = new Map(); // Serialized settings -> Promise of the resolved config
+
+/**
+ * Load the host PostCSS plugins once per project
+ * @param {string} rootDir - Project root
+ * @returns {Promise<Array>} PostCSS plugins
+ */
+async function getPostcssPlugins(rootDir) {
+  if (!postcssConfigs.has(rootDir)) {
+    postcssConfigs.set(rootDir, loadPostCSSConfig(rootDir));
+  }
+  return (await postcssConfigs.get(rootDir)).plugins;
+}
+
+/**
+ * Resolve the Vite config of the main thread from its cloneable settings
+ * @param {Object} settings - Settings from `getWorkerViteConfig`
+ * @returns {Promise<import('vite').ResolvedConfig>} Resolved config
+ */
+async function getViteConfig(settings) {
+  const key = JSON.stringify(settings, (name, value) =>
+    value instanceof RegExp ? value.toString() : value
+  );
+  if (!viteConfigs.has(key)) {
+    const { resolveConfig } = await import('vite');
+    viteConfigs.set(
+      key,
+      resolveConfig(
+        {
+          root: settings.root,
+          mode: settings.mode,
+          configFile: false,
+          logLevel: 'silent',
+          css: settings.css,
+          resolve: settings.resolve,
+        },
+        settings.command
+      )
+    );
+  }
+  return viteConfigs.get(key);
+}
+
+/**
+ * Convert errors of a result to plain objects for `postMessage`
+ * @param {import('../types/index.d.ts').ProcessingResult} result - Processing result
+ * @returns {Object} Cloneable result
+ */
+function serializeResult(result) {
+  if (!result.errors) {
+    return result;
+  }
+  return {
+    ...result,
+    errors: result.errors.map((entry) => ({
+      message: entry.message,
+      code: entry.code,
+      location: entry.location,
+      filePath: entry.filePath,
+      stack: entry.stack,
+    })),
+  };
+}
+
+parentPort.on(
+  'message',
+  async ({ id, content, filePath, options, vite, postcss }) => {
+    try {
+      const processOptions = { ...options };
+      if (postcss) {
+        processOptions.postcssPlugins = await getPostcssPlugins(
+          options.rootDir || process.cwd()
+        );
+      }
+      if (vite) {
+        processOptions.viteConfig = await getViteConfig(vite);
+      }
+
+      const result = await processMorphFile(content, filePath, processOptions);
+      parentPort.postMessage({ id, result: serializeResult(result) });
+    } catch (workerError) {
+      parentPort.postMessage({
+        id,
+        error: { message: workerError.message, code: workerError.code },
+      });
+    }
+  }
+);
@@ -0,0 +1,261 @@
+/**
+ * Static Site Generator Service
+ * Renders configured `.morph` entries to `.html` files during `vite build`
+ * @fileoverview Static page rendering with inlined or linked component CSS
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { basename, resolve } from 'path';
+import { createMorphError, ErrorCodes } from '../core/errors.js';
+import {
+  LAYER_NAMES,
+  createLayerOrderStatement,
+  wrapInLayer,
+} from '../core/css-layers.js';
+import { renderToString } from '../server/render.js';
+import { debug } from '../utils/logger.js';
+
+/**
+ * Escape text for HTML content
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Static site generator for morph pages
+ * @class
+ */
+export class StaticSiteGenerator {
+  /**
+   * Create static site generator
+   * @param {Object} [options={}] - Generator options
+   * @param {string} [options.root=process.cwd()] - Project root
+   * @param {string[]} [options.entries=[]] - Page entries relative to the root
+   * @param {'inline'|'link'} [options.css='inline'] - Inline the page CSS or emit it as a stylesheet
+   * @param {string} [options.base='/'] - Public base path of linked stylesheets
+   * @param {{enabled: boolean, order: string[]}} [options.layers] - Cascade layer settings (`css.layers`)
+   * @param {Object<string,string>|{variables: Object<string,string>}} [options.theme] - Default theme
+   * @param {string} [options.globalCss=''] - Global CSS collected for the build
+   * @param {import('vite').ResolvedConfig|null} [options.viteConfig=null] - Resolved config of the build
+   * @param {Array} [options.plugins=[]] - Vite plugins used to load the entries without a config file
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.entries = options.entries || [];
+    this.cssMode = options.css || 'inline';
+    this.base = options.base || '/';
+    this.layers = options.layers?.enabled ? options.layers : null;
+    this.theme = options.theme || null;
+    this.globalCss = options.globalCss || '';
+    this.viteConfig = options.viteConfig || null;
+    this.plugins = options.plugins || [];
+    this.entryConfig = null; // Promise of the config entries load with
+  }
+
+  /**
+   * Get the Vite config the page entries load with
+   * The project config file is loaded again, so its aliases, CSS options and
+   * plugins apply. Builds without a config file reuse the aliases and
+   * preprocessor options of the resolved config with `plugins`.
+   * @returns {Promise<import('vite').InlineConfig>} Inline config
+   */
+  async getEntryConfig() {
+    const { loadConfigFromFile, mergeConfig } = await import('vite');
+    const settings = {
+      root: this.root,
+      mode: this.viteConfig?.mode,
+      logLevel: 'silent',
+    };
+
+    const configFile = this.viteConfig?.configFile;
+    if (configFile) {
+      const loaded = await loadConfigFromFile(
+        { command: 'build', mode: settings.mode || 'production' },
+        configFile,
+        this.root,
+        'silent'
+      );
+      if (loaded) {
+        return mergeConfig(loaded.config, settings);
+      }
+    }
+
+    return {
+      ...settings,
+      resolve: { alias: this.viteConfig?.resolve?.alias || [] },
+      css: {
+        preprocessorOptions: this.viteConfig?.css?.preprocessorOptions || {},
+      },
+      plugins: this.plugins,
+    };
+  }
+
+  /**
+   * Load the SSR build of a page entry
+   * @param {string} entryPath - Absolute entry path
+   * @returns {Promise<Object>} Module namespace
+   */
+  async loadEntry(entryPath) {
+    if (!this.entryConfig) {
+      this.entryConfig = this.getEntryConfig();
+    }
+    const { runnerImport } = await import('vite');
+    const { module } = await runnerImport(entryPath, await this.entryConfig);
+    return module;
+  }
+
+  /**
+   * Combine the CSS a page needs in cascade order
+   * @param {Object<string,string>} componentsCss - Scoped CSS of the rendered components
+   * @param {string} themeCss - Theme variables (already layered)
+   * @returns {string} Page CSS
+   */
+  buildPageCss(componentsCss, themeCss) {
+    const cssParts = [];
+
+    if (this.layers) {
+      cssParts.push(createLayerOrderStatement(this.layers.order));
+    }
+    if (this.globalCss) {
+      cssParts.push(
+        this.layers
+          ? wrapInLayer(this.globalCss, LAYER_NAMES.global)
+          : this.globalCss
+      );
+    }
+    if (themeCss) {
+      cssParts.push(themeCss);
+    }
+    cssParts.push(...Object.values(componentsCss).filter(Boolean));
+
+    return cssParts.join('\n\n');
+  }
+
+  /**
+   * Create the HTML document of a page
+   * @param {Object} page - Page parts
+   * @param {string} page.title - Document title
+   * @param {string} page.body - Rendered component HTML
+   * @param {string} page.css - Page CSS
+   * @param {string|null} [page.stylesheet=null] - Stylesheet URL (link mode)
+   * @returns {string} HTML document
+   */
+  createDocument({ title, body, css, stylesheet = null }) {
+    const head = [
+      '<meta charset="UTF-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+      `<title>${escapeHtml(title)}</title>`,
+    ];
+    if (stylesheet) {
+      head.push(`<link rel="stylesheet" href="${escapeHtml(stylesheet)}">`);
+    } else if (css) {
+      head.push(`<style>\n${css.replace(/<\/style/gi, '<\\/style')}\n</style>`);
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      ...head.map((line) => `  ${line}`),
+      '</head>',
+      '<body>',
+      body,
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Render a page module with its handshake data
+   * @param {string} name - Page name (file name without extension)
+   * @param {Object} pageModule - Module namespace of the page entry
+   * @returns {{fileName: string, html: string, cssFileName: string|null, css: string}} Page files
+   */
+  renderPage(name, pageModule) {
+    const data = pageModule.handshake || {};
+    const { html, css, themeCss } = renderToString(pageModule.default, data, {
+      theme: this.theme,
+      layers: this.layers,
+    });
+
+    const pageCss = this.buildPageCss(css, themeCss);
+    const cssFileName =
+      this.cssMode === 'link' && pageCss ? `assets/${name}.css` : null;
+    const title = typeof data.title === 'string' ? data.title : name;
+
+    return {
+      fileName: `${name}.html`,
+      html: this.createDocument({
+        title,
+        body: html,
+        css: pageCss,
+        stylesheet: cssFileName ? `${this.base}${cssFileName}` : null,
+      }),
+      cssFileName,
+      css: pageCss,
+    };
+  }
+
+  /**
+   * Render every configured entry
+   * @returns {Promise<Array<{fileName: string, html: string, cssFileName: string|null, css: string}>>} Rendered pages
+   * @throws {import('../types/index.d.ts').MorphPluginError} When entries collide or fail to render
+   */
+  async generate() {
+    const pages = [];
+    const names = new Set();
+
+    for (const entry of this.entries) {
+      const entryPath = resolve(this.root, entry);
+      const name = basename(entryPath, '.morph');
+
+      if (names.has(name)) {
+        throw createMorphError(
+          `Static pages must have unique file names, "${name}.html" is generated twice`,
+          entryPath,
+          null,
+          ErrorCodes.CONFIG_ERROR
+        );
+      }
+      names.add(name);
+
+      let pageModule;
+      try {
+        pageModule = await this.loadEntry(entryPath);
+      } catch (loadError) {
+        if (loadError?.name === 'MorphPluginError') {
+          throw loadError;
+        }
+        throw createMorphError(
+          `Failed to load static page: ${loadError.message}`,
+          entryPath,
+          null,
+          ErrorCodes.UNKNOWN_ERROR
+        );
+      }
+
+      debug(`Rendering static page ${name}.html`);
+      pages.push(this.renderPage(name, pageModule));
+    }
+
+    return pages;
+  }
+}
+
+/**
+ * Create static site generator
+ * @param {Object} [options={}] - Generator options
+ * @returns {StaticSiteGenerator} Generator instance
+ */
+export function createStaticSiteGenerator(options = {}) {
+  return new StaticSiteGenerator(options);
+}
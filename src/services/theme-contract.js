@@ -0,0 +1,173 @@
+/**
+ * Theme Contract Service
+ * Checks that every theme of a source defines the same CSS variables
+ * @fileoverview Missing and extra theme variables reported as plugin warnings
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { join } from 'path';
+import {
+  createMorphError,
+  createMorphWarning,
+  ErrorCodes,
+} from '../core/errors.js';
+import { offsetToPosition } from '../utils/source-map.js';
+
+/**
+ * Locate text in a theme file
+ * Only CSS themes keep the file content in `raw`, other files (design
+ * tokens) are located at their start.
+ * @param {string} raw - Theme CSS
+ * @param {string} file - Theme file path
+ * @param {RegExp} pattern - Pattern to find
+ * @returns {import('../types/index.d.ts').SourceLocation} Location (start of the file when not found)
+ */
+function locate(raw, file, pattern) {
+  const match = file.endsWith('.css') ? pattern.exec(raw || '') : null;
+  if (!match) {
+    return { file, line: 1, column: 1, offset: 0 };
+  }
+  const { line, column } = offsetToPosition(raw, match.index);
+  return { file, line, column: column + 1, offset: match.index };
+}
+
+/**
+ * Escape a variable name for a regular expression
+ * @param {string} variable - CSS variable name
+ * @returns {string} Escaped name
+ */
+function escapeRegExp(variable) {
+  return variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve the variables every theme of a source must define
+ * A declared list wins. Otherwise the reference theme defines the contract,
+ * and without one the union of all themes does (only missing variables are
+ * reported then).
+ * @param {Object<string, {variables: Object<string,string>}>} themes - Themes of the source
+ * @param {Object} contract - Contract settings
+ * @param {string[]|null} [contract.variables] - Declared variable names
+ * @param {string|null} [contract.reference] - Reference theme name
+ * @returns {{variables: Set<string>, reference: string|null, declared: boolean}} Contract
+ */
+export function resolveThemeContract(themes, contract = {}) {
+  if (Array.isArray(contract.variables) && contract.variables.length > 0) {
+    return {
+      variables: new Set(contract.variables),
+      reference: null,
+      declared: true,
+    };
+  }
+
+  const reference =
+    contract.reference && themes[contract.reference]
+      ? contract.reference
+      : null;
+  if (reference) {
+    return {
+      variables: new Set(Object.keys(themes[reference].variables || {})),
+      reference,
+      declared: false,
+    };
+  }
+
+  const variables = new Set();
+  for (const theme of Object.values(themes)) {
+    for (const variable of Object.keys(theme.variables || {})) {
+      variables.add(variable);
+    }
+  }
+  return { variables, reference: null, declared: false };
+}
+
+/**
+ * Compare the themes of one source against its contract
+ * Themes are compared after inheritance, so variables a theme gets from its
+ * parent count as defined.
+ * @param {Object} source - Theme source
+ * @param {string} source.name - Source name (`host` or the library package)
+ * @param {string} source.directory - Directory of the theme files
+ * @param {Object<string, {variables: Object<string,string>, raw: string}>} source.themes - Resolved themes by name (`extractThemesFromDir`)
+ * @param {Object<string, string>} [source.files] - Theme file by name (`findThemeFiles`), `<theme>.css` in the directory otherwise
+ * @param {Object} [contract={}] - Contract settings (`themeContract`)
+ * @returns {import('../types/index.d.ts').MorphPluginError[]} Warnings, one per missing or extra variable
+ */
+export function checkThemeContract(source, contract = {}) {
+  const { variables, reference, declared } = resolveThemeContract(
+    source.themes,
+    contract
+  );
+  const against = declared ? 'the theme contract' : `theme '${reference}'`;
+  const warnings = [];
+
+  for (const [themeName, theme] of Object.entries(source.themes)) {
+    if (themeName === reference) continue;
+
+    const file =
+      source.files?.[themeName] || join(source.directory, `${themeName}.css`);
+    const own = theme.variables || {};
+
+    for (const variable of variables) {
+      if (variable in own) continue;
+      const warning = createMorphWarning(
+        `Theme '${themeName}' (${source.name}) is missing ${variable}`,
+        file,
+        locate(theme.raw, file, /:root\s*\{/),
+        ErrorCodes.THEME_CONTRACT_ERROR
+      );
+      warnings.push({
+        ...warning,
+        theme: themeName,
+        variable,
+        kind: 'missing',
+      });
+    }
+
+    // Extra variables only make sense against a declared or reference set
+    if (!declared && !reference) continue;
+    for (const variable of Object.keys(own)) {
+      if (variables.has(variable)) continue;
+      const warning = createMorphWarning(
+        `Theme '${themeName}' (${source.name}) defines ${variable}, which ${against} does not`,
+        file,
+        locate(theme.raw, file, new RegExp(`${escapeRegExp(variable)}\\s*:`)),
+        ErrorCodes.THEME_CONTRACT_ERROR
+      );
+      warnings.push({ ...warning, theme: themeName, variable, kind: 'extra' });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Compare the themes of every source
+ * @param {Array<{name: string, directory: string, themes: Object, files?: Object}>} sources - Local and library theme sources
+ * @param {Object} [contract={}] - Contract settings (`themeContract`)
+ * @returns {import('../types/index.d.ts').MorphPluginError[]} Warnings of all sources
+ */
+export function checkThemeContracts(sources, contract = {}) {
+  return sources.flatMap((source) => checkThemeContract(source, contract));
+}
+
+/**
+ * Create the error that fails a build with contract violations
+ * @param {import('../types/index.d.ts').MorphPluginError[]} warnings - Contract warnings
+ * @returns {import('../types/index.d.ts').MorphPluginError} Error located at the first violation
+ */
+export function createThemeContractError(warnings) {
+  const [first] = warnings;
+  return createMorphError(
+    `Theme contract failed with ${warnings.length} problem(s):\n${warnings
+      .map(
+        (warning) =>
+          `  ${warning.location.file}:${warning.location.line} ${warning.message}`
+      )
+      .join('\n')}`,
+    first.filePath,
+    first.location,
+    ErrorCodes.THEME_CONTRACT_ERROR
+  );
+}
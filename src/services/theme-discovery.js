@@ -6,6 +6,15 @@
 import { readFile, readdir, stat } from 'fs/promises';
 import { join, extname, basename } from 'path';
 import { debug, info, warn } from '../utils/logger.js';
+import {
+  DESIGN_TOKENS_SUFFIX,
+  isDesignTokens,
+  designTokensToTheme,
+} from './design-tokens.js';
+import {
+  readExtendsComment,
+  resolveThemeInheritance,
+} from './theme-inheritance.js';
 
 /**
  * Theme file extensions that are supported
@@ -21,6 +30,7 @@ export class ThemeDiscovery {
     this.defaultTheme = options.defaultTheme || 'default';
     this.cache = new Map();
     this.watchers = new Map();
+    this.themeFiles = new Map(); // Theme name -> file it was loaded from
   }
 
   /**
@@ -29,6 +39,7 @@ export class ThemeDiscovery {
    */
   async discoverThemes() {
     const themes = new Map();
+    this.themeFiles.clear();
 
     for (const directory of this.themeDirectories) {
       try {
@@ -54,7 +65,18 @@ export class ThemeDiscovery {
     info(
       `Discovered ${themes.size} themes from ${this.themeDirectories.length} directories`
     );
-    return themes;
+    return this.resolveInheritance(themes);
+  }
+
+  /**
+   * Resolve `extends` chains into complete themes
+   * Errors point to the file each theme was loaded from.
+   * @param {Map<string, Object>} themes - Discovered themes
+   * @returns {Map<string, Object>} Resolved themes (same order)
+   * @throws {import('../types/index.d.ts').MorphPluginError} When a parent is missing or the chain is circular
+   */
+  resolveInheritance(themes) {
+    return resolveThemeInheritance(themes, this.themeFiles);
   }
 
   /**
@@ -79,6 +101,9 @@ export class ThemeDiscovery {
               // otherwise use filename as discovered name, but ensure theme.name is set
               if (!theme.name) theme.name = themeName;
               themes[themeName] = theme;
+              if (!this.themeFiles.has(themeName)) {
+                this.themeFiles.set(themeName, join(directory, entry.name));
+              }
             }
           }
         } else if (entry.isDirectory()) {
@@ -124,6 +149,20 @@ export class ThemeDiscovery {
       switch (ext) {
         case '.json':
           themeData = JSON.parse(content);
+          // W3C design tokens files (`dark.tokens.json`) become a variables
+          // theme, the same rule extractThemesFromDir follows
+          if (filePath.endsWith(DESIGN_TOKENS_SUFFIX)) {
+            themeData = designTokensToTheme(
+              themeData,
+              this.extractThemeName(basename(filePath)),
+              filePath
+            );
+          } else if (isDesignTokens(themeData)) {
+            warn(
+              `Design tokens in ${filePath} are not loaded, name the file <theme>${DESIGN_TOKENS_SUFFIX}`
+            );
+            return null;
+          }
           break;
 
         case '.js':
@@ -172,6 +211,7 @@ export class ThemeDiscovery {
    */
   parseCssTheme(content, filePath) {
     const variables = {};
+    const parent = readExtendsComment(content);
 
     // Remove comments
     const cleanContent = content.replace(/\/\*[\s\S]*?\*\//g, '');
@@ -206,7 +246,8 @@ export class ThemeDiscovery {
     return {
       name: this.extractThemeName(basename(filePath)), // Default name from file
       variables,
-      components: {}
+      components: {},
+      ...(parent && { extends: parent }),
     };
   }
 
@@ -239,7 +280,12 @@ export class ThemeDiscovery {
    * @returns {string} Theme name
    */
   extractThemeName(fileName) {
-    const base = basename(fileName, extname(fileName));
+    let base = basename(fileName, extname(fileName));
+
+    // Remove '.tokens' suffix of design token files (dark.tokens.json)
+    if (base.endsWith('.tokens')) {
+      base = base.slice(0, -7);
+    }
 
     // Remove 'theme.' prefix if present
     if (base.startsWith('theme.')) {
@@ -269,6 +315,12 @@ export class ThemeDiscovery {
       return false;
     }
 
+    // Validate parent theme if present
+    if (theme.extends !== undefined && typeof theme.extends !== 'string') {
+      warn(`Invalid extends in theme ${theme.name}: must be a theme name`);
+      return false;
+    }
+
     // Validate CSS variables if present
     if (theme.variables && typeof theme.variables === 'object') {
       for (const [key, value] of Object.entries(theme.variables)) {
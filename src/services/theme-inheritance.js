@@ -0,0 +1,106 @@
+/**
+ * Theme Inheritance Service
+ * Resolves `extends` chains of themes, shared by every theme loader
+ * @fileoverview `/* @extends parent *\/` comments and `extends` fields merged into complete themes
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+import { debug } from '../utils/logger.js';
+import { createMorphError, ErrorCodes } from '../core/errors.js';
+
+/**
+ * Parent declaration of CSS themes: `/* @extends light *\/`
+ */
+const EXTENDS_COMMENT = /\/\*\s*@extends\s+([\w.-]+)\s*\*\//;
+
+/**
+ * Read the parent theme of a CSS theme
+ * @param {string} cssContent - Theme CSS
+ * @returns {string|null} Parent theme name
+ * @example
+ * readExtendsComment('/* @extends light *\/ :root { --bg: #111; }'); // 'light'
+ */
+export function readExtendsComment(cssContent) {
+  return cssContent.match(EXTENDS_COMMENT)?.[1] || null;
+}
+
+/**
+ * Resolve `extends` chains into complete themes
+ * A theme starts from the resolved variables and component styles of its
+ * parent and overrides them with its own. `metadata.chain` lists the theme
+ * and its ancestors, nearest first.
+ * @param {Map<string, Object>} themes - Themes by name, with an optional `extends` parent name
+ * @param {Map<string, string>} [themeFiles] - File of each theme (error location)
+ * @returns {Map<string, Object>} Resolved themes (same order)
+ * @throws {import('../types/index.d.ts').MorphPluginError} When a parent is missing or the chain is circular
+ */
+export function resolveThemeInheritance(themes, themeFiles = new Map()) {
+  const resolved = new Map();
+
+  const resolveTheme = (name, path) => {
+    if (resolved.has(name)) {
+      return resolved.get(name);
+    }
+    if (path.includes(name)) {
+      throw createMorphError(
+        `Circular theme inheritance: ${[...path, name].join(' -> ')}`,
+        themeFiles.get(name) || name,
+        null,
+        ErrorCodes.CONFIG_ERROR
+      );
+    }
+
+    const theme = themes.get(name);
+    const parentName = theme.extends || null;
+    let result;
+
+    if (!parentName) {
+      result = {
+        ...theme,
+        metadata: { ...theme.metadata, extends: null, chain: [name] },
+      };
+    } else {
+      if (!themes.has(parentName)) {
+        throw createMorphError(
+          `Theme '${name}' extends unknown theme '${parentName}'`,
+          themeFiles.get(name) || name,
+          null,
+          ErrorCodes.CONFIG_ERROR
+        );
+      }
+
+      const parent = resolveTheme(parentName, [...path, name]);
+      const components = { ...parent.components };
+      for (const [component, styles] of Object.entries(
+        theme.components || {}
+      )) {
+        components[component] = { ...components[component], ...styles };
+      }
+
+      result = {
+        ...theme,
+        variables: { ...parent.variables, ...theme.variables },
+        components,
+        metadata: {
+          ...theme.metadata,
+          extends: parentName,
+          chain: [name, ...parent.metadata.chain],
+        },
+      };
+      debug(`Theme '${name}' inherits ${result.metadata.chain.join(' -> ')}`);
+    }
+
+    resolved.set(name, result);
+    return result;
+  };
+
+  for (const name of themes.keys()) {
+    resolveTheme(name, []);
+  }
+
+  // Keep discovery order, parents may resolve before their position
+  return new Map(
+    Array.from(themes.keys(), (name) => [name, resolved.get(name)])
+  );
+}
@@ -5,6 +5,7 @@
 
 import { debug, info, warn } from '../utils/logger.js';
 import { buildStyleObject, buildNestedStyles } from '../utils/shared.js';
+import { createStyleElement } from '../client/security.js';
 
 /**
  * Theme Runtime API
@@ -196,8 +197,7 @@ export class ThemeRuntime {
     this.removeComponentStyles();
 
     // Add new component styles
-    const styleElement = globalThis.document.createElement('style');
-    styleElement.id = 'morph-component-styles';
+    const styleElement = createStyleElement('morph-component-styles');
     styleElement.textContent = this.buildComponentCSS(components);
 
     globalThis.document.head.appendChild(styleElement);
@@ -8,6 +8,13 @@
 
 import { readFileSync, existsSync, readdirSync } from 'fs';
 import { join } from 'path';
+import { createStyleElement } from '../client/security.js';
+import { DESIGN_TOKENS_SUFFIX, designTokensToTheme } from './design-tokens.js';
+import {
+  readExtendsComment,
+  resolveThemeInheritance,
+} from './theme-inheritance.js';
+import { warn } from '../utils/logger.js';
 
 /**
  * Extract CSS variables from :root block
@@ -51,11 +58,44 @@ export function extractThemeVariables(cssContent) {
   };
 }
 
+/**
+ * Find the theme files of a themes directory
+ * `<name>.tokens.json` design token files and `<name>.css` files are themes.
+ * @param {string} themesDir - Path to themes directory
+ * @returns {Object.<string, string>} Theme file path by theme name
+ * @example
+ * findThemeFiles('./themes');
+ * // { dark: 'themes/dark.tokens.json', light: 'themes/light.css' }
+ */
+export function findThemeFiles(themesDir) {
+  const files = {};
+
+  if (!existsSync(themesDir)) {
+    return files;
+  }
+
+  for (const file of readdirSync(themesDir).sort()) {
+    if (file.endsWith(DESIGN_TOKENS_SUFFIX)) {
+      files[file.slice(0, -DESIGN_TOKENS_SUFFIX.length)] = join(
+        themesDir,
+        file
+      );
+    } else if (file.endsWith('.css')) {
+      files[file.slice(0, -'.css'.length)] = join(themesDir, file);
+    }
+  }
+
+  return files;
+}
+
 /**
  * Extract themes from a themes directory
+ * CSS themes with a `/* @extends parent *\/` comment get the variables of
+ * their parent. `raw` stays the CSS of the file (generated CSS for token files).
  * @param {string} themesDir - Path to themes directory
  * @returns {Object.<string, {variables: Object.<string, string>, raw: string}>}
  *   Theme registry with theme name as key
+ * @throws {import('../types/index.d.ts').MorphPluginError} When a parent is missing or the chain is circular
  * @example
  * const themes = await extractThemesFromDir('./themes');
  * // themes = {
@@ -64,32 +104,43 @@ export function extractThemeVariables(cssContent) {
  * // }
  */
 export async function extractThemesFromDir(themesDir) {
-  const themes = {};
-
-  if (!existsSync(themesDir)) {
-    return themes;
-  }
-
-  const files = readdirSync(themesDir);
-
-  for (const file of files) {
-    if (file.endsWith('.css')) {
-      const themeName = file.replace('.css', '');
-      const filePath = join(themesDir, file);
+  const themes = new Map();
+  const themeFiles = new Map(Object.entries(findThemeFiles(themesDir)));
 
+  for (const [themeName, filePath] of themeFiles) {
+    if (filePath.endsWith(DESIGN_TOKENS_SUFFIX)) {
+      try {
+        const tokens = JSON.parse(readFileSync(filePath, 'utf-8'));
+        const { variables, raw } = designTokensToTheme(
+          tokens,
+          themeName,
+          filePath
+        );
+        themes.set(themeName, { variables, raw });
+      } catch (error) {
+        warn(`Failed to read design tokens ${filePath}: ${error.message}`);
+      }
+    } else {
       try {
         const content = readFileSync(filePath, 'utf-8');
-        themes[themeName] = extractThemeVariables(content);
+        const parent = readExtendsComment(content);
+        themes.set(themeName, {
+          ...extractThemeVariables(content),
+          ...(parent && { extends: parent }),
+        });
       } catch (error) {
-        console.warn(
-          `[theme-variables] Failed to read theme file: ${filePath}`,
-          error.message
-        );
+        warn(`Failed to read theme file ${filePath}: ${error.message}`);
       }
     }
   }
 
-  return themes;
+  const resolved = resolveThemeInheritance(themes, themeFiles);
+  return Object.fromEntries(
+    Array.from(resolved, ([name, theme]) => [
+      name,
+      { variables: theme.variables, raw: theme.raw },
+    ])
+  );
 }
 
 /**
@@ -139,6 +190,60 @@ export function getAllThemeNames(themeRegistry) {
   return Array.from(allThemes);
 }
 
+/**
+ * Collect the custom properties declared anywhere in a stylesheet
+ * @param {string} cssContent - CSS content
+ * @returns {string[]} Variable names (with `--` prefix)
+ * @example
+ * extractDeclaredVariables('body { --gap: 1rem; }');
+ * // ['--gap']
+ */
+export function extractDeclaredVariables(cssContent) {
+  if (!cssContent || typeof cssContent !== 'string') {
+    return [];
+  }
+  const names = new Set();
+  for (const match of cssContent.matchAll(/(?:^|[{;\s])(--[\w-]+)\s*:/g)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+/**
+ * Collect the variables defined by any theme of a registry
+ * @param {Object} themeRegistry - Theme registry from buildThemeRegistry
+ * @returns {Set<string>} Variable names (with `--` prefix)
+ */
+export function getRegistryVariables(themeRegistry) {
+  const variables = new Set();
+
+  for (const themes of Object.values(themeRegistry)) {
+    for (const theme of Object.values(themes)) {
+      for (const name of Object.keys(theme.variables || {})) {
+        variables.add(name);
+      }
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Find variable references that nothing defines
+ * References with a fallback (`var(--x, red)`) are always safe.
+ * @param {Array<{name: string, fallback: boolean}>} references - `cssVariables` of a processing result
+ * @param {Set<string>} definedVariables - Variables of the theme registry and global CSS
+ * @returns {Array<{name: string, fallback: boolean, line: number, column: number}>} Undefined references
+ * @example
+ * findUndefinedVariables([{ name: '--accent', fallback: false }], new Set(['--bg']));
+ * // [{ name: '--accent', fallback: false }]
+ */
+export function findUndefinedVariables(references, definedVariables) {
+  return (references || []).filter(
+    (reference) => !reference.fallback && !definedVariables.has(reference.name)
+  );
+}
+
 /**
  * Apply theme variables to DOM
  * @param {Object} variables - Theme variables object
@@ -162,8 +267,7 @@ export function applyThemeToDom(variables, prefixId = '') {
   let style = document.getElementById(id);
 
   if (!style) {
-    style = document.createElement('style');
-    style.id = id;
+    style = createStyleElement(id);
     document.head.appendChild(style);
   }
 
@@ -0,0 +1,224 @@
+/**
+ * Worker Pool Service
+ * Processes `.morph` files on worker threads during builds
+ * @fileoverview Parallel `processMorphFile` with results identical to the main thread
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+/* global structuredClone */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { URL } from 'url';
+import { createMorphError } from '../core/errors.js';
+import { debug } from '../utils/logger.js';
+
+const WORKER_URL = new URL('./morph-worker.js', import.meta.url);
+
+/**
+ * Default number of workers (one core stays with Vite)
+ * @returns {number} Worker count
+ */
+export function getDefaultWorkerCount() {
+  const cores = os.availableParallelism?.() ?? os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Extract the Vite settings workers need to resolve the same config
+ * Workers cannot receive the resolved config (it holds plugins and
+ * functions). They rebuild it from the root, mode and the CSS preprocessor
+ * and alias settings, which is all style preprocessing reads.
+ * @param {import('vite').ResolvedConfig|null} viteConfig - Resolved Vite config
+ * @returns {Object|null} Cloneable settings, null when the settings hold functions (sass importers, custom resolvers)
+ */
+export function getWorkerViteConfig(viteConfig) {
+  if (!viteConfig) {
+    return null;
+  }
+
+  const settings = {
+    root: viteConfig.root,
+    mode: viteConfig.mode,
+    command: viteConfig.command,
+    css: { preprocessorOptions: viteConfig.css?.preprocessorOptions },
+    resolve: { alias: viteConfig.resolve?.alias },
+  };
+  try {
+    return structuredClone(settings);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuild a processing result received from a worker
+ * Errors cross the thread boundary as plain objects.
+ * @param {Object} result - Result posted by the worker
+ * @returns {import('../types/index.d.ts').ProcessingResult} Processing result
+ */
+function restoreResult(result) {
+  if (!result.errors) {
+    return result;
+  }
+  return {
+    ...result,
+    errors: result.errors.map((entry) => {
+      const morphError = createMorphError(
+        entry.message,
+        entry.filePath,
+        entry.location,
+        entry.code
+      );
+      morphError.stack = entry.stack;
+      return morphError;
+    }),
+  };
+}
+
+/**
+ * Pool of worker threads running `processMorphFile`
+ * Workers take one file at a time from a shared queue. Each result only
+ * depends on its file and options, so the build output does not depend on
+ * which worker finished first.
+ * @class
+ */
+export class WorkerPool {
+  /**
+   * Create worker pool
+   * @param {Object} [options={}] - Pool options
+   * @param {number} [options.size] - Number of workers (defaults to the available cores minus one)
+   * @param {URL|string} [options.workerUrl] - Worker script (tests)
+   */
+  constructor(options = {}) {
+    this.size = options.size || getDefaultWorkerCount();
+    this.workerUrl = options.workerUrl || WORKER_URL;
+    this.workers = []; // Started on demand, up to `size`
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map(); // Worker -> running task
+    this.nextId = 0;
+  }
+
+  /**
+   * Start a worker
+   * @returns {Worker} Worker thread
+   */
+  startWorker() {
+    const worker = new Worker(this.workerUrl);
+
+    worker.on('message', ({ result, error }) => {
+      const task = this.tasks.get(worker);
+      if (!task) return; // Rejected by destroy()
+      this.tasks.delete(worker);
+      if (error) {
+        task.reject(Object.assign(new Error(error.message), error));
+      } else {
+        task.resolve(restoreResult(result));
+      }
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    // A crashed worker fails its file and is replaced on the next dispatch
+    worker.on('error', (workerError) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.removeWorker(worker);
+      task?.reject(workerError);
+      this.dispatch();
+    });
+    // A worker that stops without an error event fails its file the same way
+    worker.on('exit', (exitCode) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.removeWorker(worker);
+      task?.reject(new Error(`Morph worker exited with code ${exitCode}`));
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    debug(`Started morph worker ${this.workers.length}/${this.size}`);
+    return worker;
+  }
+
+  /**
+   * Forget a stopped worker
+   * @param {Worker} worker - Worker thread
+   */
+  removeWorker(worker) {
+    this.workers = this.workers.filter((entry) => entry !== worker);
+    this.idle = this.idle.filter((entry) => entry !== worker);
+  }
+
+  /**
+   * Hand queued files to idle workers
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) return;
+        worker = this.startWorker();
+      }
+
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+      worker.postMessage(task.message);
+    }
+  }
+
+  /**
+   * Process a morph file on a worker
+   * @param {string} content - Raw morph file content
+   * @param {string} filePath - File path
+   * @param {import('../types/index.d.ts').MorphPluginOptions} options - Plugin options (as passed to `processMorphFile`)
+   * @returns {Promise<import('../types/index.d.ts').ProcessingResult>} Processing result
+   */
+  processFile(content, filePath, options) {
+    const { viteConfig, postcssPlugins, ...workerOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        resolve,
+        reject,
+        message: {
+          id: this.nextId++,
+          content,
+          filePath,
+          options: workerOptions,
+          vite: getWorkerViteConfig(viteConfig),
+          // Workers load PostCSS plugins from the project config themselves
+          postcss: postcssPlugins !== undefined,
+        },
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stop all workers
+   * Running and queued files are rejected.
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    const pending = [...this.tasks.values(), ...this.queue.splice(0)];
+    this.tasks.clear();
+    for (const task of pending) {
+      task.reject(new Error('Worker pool was destroyed'));
+    }
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+/**
+ * Create worker pool
+ * @param {Object} [options={}] - Pool options
+ * @returns {WorkerPool} Pool instance
+ */
+export function createWorkerPool(options = {}) {
+  return new WorkerPool(options);
+}
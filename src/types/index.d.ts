@@ -36,6 +36,52 @@ export interface MorphPluginOptions {
     /** Enable CSS hot reloading */
     cssHmr?: boolean;
   };
+  /** TypeScript declaration generation */
+  declarations?: {
+    /** Write `Component.morph.d.ts` next to every processed morph file */
+    enabled?: boolean;
+  };
+  /** Persistent transform cache in `node_modules/.vite/vite-plugin-morph` */
+  cache?: {
+    /** Reuse transform results across dev server restarts */
+    enabled?: boolean;
+    /** Maximum cache size in bytes, least recently used results are removed first */
+    maxSize?: number;
+  };
+  /** Theme discovery and selection */
+  themes?: {
+    /** Directories searched for themes */
+    directories?: string[];
+    /** Theme applied when no media condition matches */
+    defaultTheme?: string;
+    /** Media condition per theme (`{ dark: '(prefers-color-scheme: dark)' }`), the first match is applied at startup and when OS preferences change */
+    media?: Record<string, string>;
+  };
+  /** Check that every local and library theme defines the same CSS variables */
+  themeContract?: {
+    /** Report missing and extra variables (default `true`) */
+    enabled?: boolean;
+    /** Theme the others are compared with, defaults to `themes.defaultTheme` */
+    reference?: string | null;
+    /** Declared variable names every theme must define, replaces the reference theme */
+    variables?: string[];
+    /** Fail `vite build` instead of warning */
+    failOnMismatch?: boolean;
+  };
+  /** Worker threads for `.morph` transforms during `vite build` and `buildLibrary` */
+  parallel?: {
+    /** Process files on a worker pool (output is identical to the main thread) */
+    enabled?: boolean;
+    /** Number of workers, defaults to the available cores minus one */
+    workers?: number | null;
+  };
+  /** Static site generation during `vite build` */
+  ssg?: {
+    /** `.morph` pages (relative to the project root) rendered to `<name>.html` with their handshake data */
+    entries?: string[];
+    /** Inline the page CSS in a `<style>` element or emit `assets/<name>.css` and link it */
+    css?: 'inline' | 'link';
+  };
   /** Error handling configuration */
   errorHandling?: {
     /** Fail build on errors */
@@ -66,6 +112,10 @@ export interface MorphPluginOptions {
       enabled?: boolean;
       /** Scoped class name pattern */
       generateScopedName?: string;
+      /** Scope `@keyframes` names and rewrite `animation`/`animation-name` (exposed as `styles.<name>`) */
+      keyframes?: boolean;
+      /** Scope custom properties declared by the component (exposed as `styles['--name']`) */
+      customProperties?: boolean;
     };
     /** CSS layers configuration */
     layers?: {
@@ -74,6 +124,10 @@ export interface MorphPluginOptions {
       /** Layer precedence order */
       order?: string[];
     };
+    /** How component CSS reaches the page: a `<style>` per component or shared constructable stylesheets */
+    injection?: 'style' | 'adopted';
+    /** Warn about `var()` references without fallback that no theme or global stylesheet defines (default `'warn'`) */
+    undefinedVariables?: 'warn' | 'off';
     /** CSS tree-shaking configuration */
     treeShaking?: {
       /** Enable CSS tree-shaking */
@@ -164,9 +218,11 @@ export interface MorphPluginOptions {
  * @typedef {Object} ProcessingResult
  * @property {string} code - Generated ES module code
  * @property {Object} [map] - Source map
+ * @property {string|null} [declaration] - Component `.d.ts` content (when declarations are enabled)
  * @property {string} [cssExports] - CSS code (if any)
  * @property {Object} [cssSourceMap] - CSS source map
  * @property {string[]} [usedVariables] - CSS variables used in template
+ * @property {Array<{name: string, fallback: boolean, line: number, column: number}>} [cssVariables] - CSS variables the component CSS reads but does not declare
  * @property {Object} templateObject - Template object for morph library
  * @property {Object} [componentsCSS] - Components CSS mapping { className: '.scoped { ... }' }
  * @property {boolean} isCSSOnly - True if this is CSS-only .morph file
@@ -185,6 +241,8 @@ export interface MorphPluginOptions {
  * @property {number} components.helpers - Number of helper functions/templates
  * @property {boolean} components.handshake - Has handshake content
  * @property {boolean} components.css - Has CSS content
+ * @property {string[]} dependencies - Import specifiers of the script block
+ * @property {string[]} watchFiles - Files pulled in by style preprocessors (`@use`, `@import`)
  */
 
 /**
@@ -300,7 +358,18 @@ export interface MorphPluginOptions {
  * Style content extraction result
  * @typedef {Object} StyleContent
  * @property {string} css - Raw CSS content
- * @property {Record<string,string>} [scopedClasses] - Generated scoped class names
+ * @property {Record<string,string>} [scopedClasses] - Generated scoped names (classes, plus keyframes and custom properties when scoped)
+ * @property {Object<string,Record<string,string>>} [modules] - Name maps of `<style module="name">` blocks
+ */
+
+/**
+ * Style block of a morph file
+ * @typedef {Object} StyleBlock
+ * @property {string} css - Raw CSS content
+ * @property {'scoped'|'global'|'module'} kind - How the block is scoped
+ * (`lang` in `attrs` selects a preprocessor: scss, sass, less, stylus)
+ * @property {string|null} module - Class map name for `<style module="name">`
+ * @property {Record<string,string>} attrs - Style tag attributes
  */
 
 /**
@@ -321,7 +390,9 @@ export interface MorphPluginOptions {
  * Script content extraction result
  * @typedef {Object} ScriptContent
  * @property {string} code - JavaScript code
- * @property {Object<string,Function>} functions - Parsed helper functions
+ * @property {string} body - Script code emitted as the generated module body
+ * @property {Array<{source: string, code: string}>} imports - Import declarations hoisted into the generated module
+ * @property {Object<string,string>} functions - Helper function names mapped to their source
  * @property {Object<string,string>} templates - Parsed helper templates
  * @property {SourceLocation} sourceLocation - Source location information
  */
@@ -335,6 +406,7 @@ export interface MorphPluginOptions {
  * @property {string} css - CSS content or URL
  * @property {string[]} themes - Available theme names
  * @property {string} defaultTheme - Default theme name
+ * @property {Object<string, string>} [themeMedia] - Media condition per theme name, the first match replaces the default theme
  * @property {Object} themeUrls - Mapping of theme names to CSS URLs
  * @property {string[]} cssUrls - CSS file URLs
  * @property {string} [libraryName] - Library name (for library mode)
@@ -387,8 +459,9 @@ export interface MorphPluginOptions {
  * Unified theme controller for runtime theme switching
  * @typedef {Object} ThemeController
  * @property {Function} list - Get list of all available theme names
- * @property {Function} set - Apply theme to all libraries
- * @property {Function} getCurrent - Get current theme name
+ * @property {Function} set - Apply theme to all libraries (overrides media conditions)
+ * @property {Function} clear - Drop the theme chosen with set() and follow media conditions again
+ * @property {Function} getCurrent - Get the theme in effect
  * @property {Function} setDefault - Set and apply default theme
  * @property {Function} listForLibrary - Get themes for a specific library
  * @property {Function} has - Check if a theme exists
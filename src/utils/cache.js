@@ -6,6 +6,9 @@
  */
 
 import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { URL } from 'url';
 
 /**
  * Simple in-memory cache for morph files
@@ -80,9 +83,210 @@ class MorphCache {
   }
 }
 
+/**
+ * Installed plugin version, part of every cache key so upgrades never reuse
+ * results of an older pipeline
+ * @type {string}
+ */
+export const PLUGIN_VERSION = JSON.parse(
+  fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf-8')
+).version;
+
+/**
+ * Default size limit of the disk cache (50MB)
+ * @type {number}
+ */
+export const DEFAULT_DISK_CACHE_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Persistent cache of processing results
+ * One JSON file per result, so cold starts of the dev server skip files that
+ * did not change. The least recently used files are removed once the
+ * directory grows past `maxSize` bytes.
+ * @class
+ */
+export class DiskCache {
+  /**
+   * Create disk cache
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Cache directory
+   * @param {number} [options.maxSize=52428800] - Maximum total size in bytes
+   */
+  constructor({ directory, maxSize = DEFAULT_DISK_CACHE_SIZE }) {
+    this.directory = directory;
+    this.maxSize = maxSize;
+    this.entries = null; // file name -> {size, atime}, read on first use
+  }
+
+  /**
+   * Generate the file name of a cache key
+   * @param {string} key - Cache key
+   * @returns {string} File name
+   */
+  getFileName(key) {
+    return `${createHash('sha256').update(key).digest('hex')}.json`;
+  }
+
+  /**
+   * Read the size and last use of the stored entries
+   * @returns {Map<string, {size: number, atime: number}>} Entries by file name
+   */
+  loadEntries() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    if (!fs.existsSync(this.directory)) {
+      return this.entries;
+    }
+    for (const fileName of fs.readdirSync(this.directory)) {
+      if (!fileName.endsWith('.json')) continue;
+      const stats = fs.statSync(path.join(this.directory, fileName));
+      this.entries.set(fileName, {
+        size: stats.size,
+        atime: stats.mtimeMs,
+      });
+    }
+    return this.entries;
+  }
+
+  /**
+   * Get cached result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached result or null
+   */
+  async get(key) {
+    const fileName = this.getFileName(key);
+    const filePath = path.join(this.directory, fileName);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch {
+      return null;
+    }
+    // Hash collisions and truncated writes count as misses
+    if (entry?.key !== key) {
+      return null;
+    }
+
+    // Mark as recently used for eviction
+    const now = new Date();
+    await fs.promises.utimes(filePath, now, now).catch(() => {});
+    const known = this.loadEntries().get(fileName);
+    if (known) {
+      known.atime = now.getTime();
+    }
+
+    return entry.data;
+  }
+
+  /**
+   * Store result
+   * @param {string} key - Cache key
+   * @param {Object} data - JSON serializable result
+   * @returns {Promise<void>}
+   */
+  async set(key, data) {
+    const fileName = this.getFileName(key);
+    const filePath = path.join(this.directory, fileName);
+    const content = JSON.stringify({ key, data });
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write and rename, parallel dev servers never read half a file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, content, 'utf-8');
+    await fs.promises.rename(tempPath, filePath);
+
+    this.loadEntries().set(fileName, {
+      size: Buffer.byteLength(content),
+      atime: Date.now(),
+    });
+    await this.evict();
+  }
+
+  /**
+   * Remove the least recently used entries until the cache fits `maxSize`
+   * @returns {Promise<void>}
+   */
+  async evict() {
+    const entries = this.loadEntries();
+    let totalSize = 0;
+    for (const { size } of entries.values()) {
+      totalSize += size;
+    }
+    if (totalSize <= this.maxSize) {
+      return;
+    }
+
+    const oldestFirst = Array.from(entries).sort(
+      ([, a], [, b]) => a.atime - b.atime
+    );
+    for (const [fileName, { size }] of oldestFirst) {
+      if (totalSize <= this.maxSize) break;
+      await fs.promises
+        .rm(path.join(this.directory, fileName), { force: true })
+        .catch(() => {});
+      entries.delete(fileName);
+      totalSize -= size;
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{entries: number, size: number, maxSize: number}} Cache stats
+   */
+  getStats() {
+    let size = 0;
+    for (const entry of this.loadEntries().values()) {
+      size += entry.size;
+    }
+    return { entries: this.entries.size, size, maxSize: this.maxSize };
+  }
+
+  /**
+   * Remove every cached result
+   */
+  clear() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+    this.entries = null;
+  }
+}
+
 // Global cache instance
 const globalCache = new MorphCache();
 
+// Disk caches by directory
+const diskCaches = new Map();
+
+/**
+ * Get the disk cache directory of a project
+ * @param {string} [root=process.cwd()] - Project root
+ * @returns {string} Cache directory inside `node_modules/.vite`
+ */
+export function getCacheDirectory(root = process.cwd()) {
+  return path.join(root, 'node_modules', '.vite', 'vite-plugin-morph');
+}
+
+/**
+ * Get the disk cache of a project
+ * @param {string} [root=process.cwd()] - Project root
+ * @param {number} [maxSize] - Maximum total size in bytes
+ * @returns {DiskCache} Disk cache instance
+ */
+export function getDiskCache(root = process.cwd(), maxSize) {
+  const directory = getCacheDirectory(root);
+  let diskCache = diskCaches.get(directory);
+  if (!diskCache) {
+    diskCache = new DiskCache({ directory, maxSize });
+    diskCaches.set(directory, diskCache);
+  } else if (maxSize) {
+    diskCache.maxSize = maxSize;
+  }
+  return diskCache;
+}
+
 /**
  * Get cached processing result
  * @param {string} content - File content
@@ -113,11 +317,25 @@ export function setCachedResult(content, result) {
 
 /**
  * Clear all cached results
+ * The in-memory cache is always cleared, the disk cache of a project only when
+ * its root is given.
+ * @param {Object} [options={}] - Clear options
+ * @param {string} [options.root] - Project root whose disk cache is purged
  */
-export function clearCache() {
+export function clearCache(options = {}) {
   globalCache.clear();
   globalCache.hitCount = 0;
   globalCache.missCount = 0;
+
+  if (options.root) {
+    const directory = getCacheDirectory(options.root);
+    const diskCache = diskCaches.get(directory);
+    if (diskCache) {
+      diskCache.clear();
+    } else {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
 }
 
 /**
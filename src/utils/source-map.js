@@ -0,0 +1,170 @@
+/**
+ * Source map generation for morph modules
+ * @fileoverview Builds Source Map v3 objects that point generated module code back to the .morph file
+ * @author Peter Naydenov
+ * @version 0.0.10
+ */
+
+const BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a Base64 VLQ segment value
+ * @param {number} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Decode Source Map v3 mappings
+ * @param {string} mappings - Encoded mappings
+ * @returns {Array<Array<number[]>>} Segments per generated line as absolute
+ *   [generatedColumn, sourceIndex, originalLine, originalColumn] (0-based)
+ */
+export function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0];
+
+  return mappings.split(';').map((line) => {
+    state[0] = 0;
+    const segments = [];
+
+    for (const segment of line.split(',').filter(Boolean)) {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+
+      for (const char of segment) {
+        const digit = BASE64_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      // Segments without a source position carry no mapping
+      if (values.length < 4) {
+        state[0] += values[0];
+        continue;
+      }
+      for (let i = 0; i < 4; i++) {
+        state[i] += values[i];
+      }
+      segments.push([...state]);
+    }
+
+    return segments;
+  });
+}
+
+/**
+ * Find the original position of a generated position in decoded mappings
+ * @param {Array<Array<number[]>>} decoded - Result of decodeMappings
+ * @param {{line: number, column: number}} position - Generated position (1-based line, 0-based column)
+ * @returns {{line: number, column: number}|null} Original position or null if unmapped
+ */
+export function originalPositionFor(decoded, { line, column }) {
+  const segments = decoded[line - 1];
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  // Closest segment at or before the column, else the first one on the line
+  let match = segments[0];
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    match = segment;
+  }
+
+  return { line: match[2] + 1, column: match[3] };
+}
+
+/**
+ * Convert a character offset into a line and column
+ * @param {string} content - Text content
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Line (1-based) and column (0-based)
+ */
+export function offsetToPosition(content, offset) {
+  const before = content.slice(0, offset);
+  const lastNewline = before.lastIndexOf('\n');
+  return {
+    line: before.split('\n').length,
+    column: offset - lastNewline - 1,
+  };
+}
+
+/**
+ * Create a Source Map v3 object for a generated module
+ * @param {Object} options - Source map options
+ * @param {string} options.source - Original file path
+ * @param {string} options.sourceContent - Original file content
+ * @param {Array<{generated: {line: number, column: number}, original: {line: number, column: number}}>} options.mappings
+ *   Mappings with 1-based lines and 0-based columns
+ * @returns {Object} Source map
+ */
+export function createSourceMap({ source, sourceContent, mappings }) {
+  const byLine = new Map();
+  for (const mapping of mappings) {
+    const line = mapping.generated.line;
+    if (!byLine.has(line)) {
+      byLine.set(line, []);
+    }
+    byLine.get(line).push(mapping);
+  }
+
+  const lastLine = Math.max(0, ...byLine.keys());
+  const lines = [];
+  let previousOriginalLine = 0;
+  let previousOriginalColumn = 0;
+
+  for (let line = 1; line <= lastLine; line++) {
+    const segments = (byLine.get(line) || []).sort(
+      (a, b) => a.generated.column - b.generated.column
+    );
+    let previousGeneratedColumn = 0;
+
+    lines.push(
+      segments
+        .map(({ generated, original }) => {
+          const originalLine = original.line - 1;
+          const segment =
+            encodeVLQ(generated.column - previousGeneratedColumn) +
+            encodeVLQ(0) +
+            encodeVLQ(originalLine - previousOriginalLine) +
+            encodeVLQ(original.column - previousOriginalColumn);
+
+          previousGeneratedColumn = generated.column;
+          previousOriginalLine = originalLine;
+          previousOriginalColumn = original.column;
+          return segment;
+        })
+        .join(',')
+    );
+  }
+
+  return {
+    version: 3,
+    sources: [source],
+    sourcesContent: [sourceContent],
+    names: [],
+    mappings: lines.join(';'),
+  };
+}
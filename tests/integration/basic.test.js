@@ -199,8 +199,9 @@ function existingHelper(data) { return data; }
     expect(result).toBeDefined();
     expect(result.code).toContain('export default renderFunction;');
     expect(result.code).toContain('export { template };');
+    expect(result.code).toContain('function existingHelper(data) { return data; }');
     expect(result.code).toContain(
-      'function existingHelper(data) { return data; }; template.helpers.existingHelper = (props = {}, ...args) => (existingHelper)({ ...props, styles }, ...args);'
+      'template.helpers.existingHelper = (props = {}, ...args) => (existingHelper)({ ...props, styles }, ...args);'
     );
 
     // Should not contain helper assignments for the missing helper
@@ -63,6 +63,22 @@ describe('Library Builder', () => {
     });
   });
 
+  describe('readRuntimeModules', () => {
+    it('should include the modules runtime.js imports', async () => {
+      const modules = await createLibraryBuilder().readRuntimeModules();
+
+      expect([...modules.keys()]).toEqual([
+        'runtime.js',
+        'security.js',
+        'style-id.js',
+      ]);
+      expect(modules.get('runtime.js')).toContain("from './security.js';");
+      expect(modules.get('security.js')).toContain(
+        'export function toTrustedHTML'
+      );
+    });
+  });
+
   describe('discoverThemes', () => {
     it('should discover themes from themes directory', async () => {
       // Create builder with example directory
@@ -0,0 +1,116 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import {
+  setMorphConfig,
+  registerComponentCSS,
+  updateComponentCSS,
+  adoptMorphStyles,
+} from '../../src/client/runtime.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+/**
+ * Constructable stylesheet that splits flat CSS into rules
+ */
+class FakeStyleSheet {
+  constructor() {
+    this.cssRules = [];
+  }
+  replaceSync(css) {
+    this.cssRules = (css.match(/[^{}]+\{[^}]*\}/g) || []).map((rule) => ({
+      cssText: rule.trim(),
+    }));
+  }
+  insertRule(cssText, index) {
+    this.cssRules.splice(index, 0, { cssText });
+    return index;
+  }
+  deleteRule(index) {
+    this.cssRules.splice(index, 1);
+  }
+}
+
+const ruleTexts = (sheet) => sheet.cssRules.map((rule) => rule.cssText);
+
+describe('Adopted Stylesheets Injection', () => {
+  beforeAll(() => {
+    globalThis.window = globalThis;
+    globalThis.CSSStyleSheet = FakeStyleSheet;
+    globalThis.document = {
+      adoptedStyleSheets: [],
+      head: { children: [], appendChild: (node) => node, prepend: () => {} },
+      getElementById: () => null,
+      createElement: () => ({}),
+    };
+    setMorphConfig({ injection: 'adopted' });
+  });
+
+  afterAll(() => {
+    for (const name of ['window', 'CSSStyleSheet', 'document']) {
+      delete globalThis[name];
+    }
+  });
+
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should collect component CSS in one shared sheet', () => {
+    registerComponentCSS(
+      'Card',
+      '.card_a { color: red; } .card_b { margin: 0; }'
+    );
+    registerComponentCSS('Button', '.button_a { padding: 0; }');
+
+    expect(document.adoptedStyleSheets).toHaveLength(1);
+    expect(ruleTexts(document.adoptedStyleSheets[0])).toEqual([
+      '.card_a { color: red; }',
+      '.card_b { margin: 0; }',
+      '.button_a { padding: 0; }',
+    ]);
+  });
+
+  it('should swap only the rules of an updated component', () => {
+    updateComponentCSS('Card', '.card_a { color: blue; }');
+
+    expect(ruleTexts(document.adoptedStyleSheets[0])).toEqual([
+      '.card_a { color: blue; }',
+      '.button_a { padding: 0; }',
+    ]);
+  });
+
+  it('should adopt the shared sheets into shadow roots once', () => {
+    const shadowRoot = { adoptedStyleSheets: [] };
+
+    expect(adoptMorphStyles(shadowRoot)).toBe(true);
+    adoptMorphStyles(shadowRoot);
+
+    expect(shadowRoot.adoptedStyleSheets).toEqual(document.adoptedStyleSheets);
+  });
+
+  it('should route generated component CSS through the runtime', async () => {
+    const content =
+      '<div class="card">{{ title }}</div>\n<style>.card { color: red; }</style>';
+    const adopted = await processMorphFile(content, '/src/Card.morph', {
+      css: { injection: 'adopted' },
+    });
+    const elements = await processMorphFile(content, '/src/Card.morph', {});
+
+    expect(adopted.code).toContain(
+      "import { registerComponentCSS } from '@peter.naydenov/vite-plugin-morph/client';"
+    );
+    expect(adopted.code).toContain('  registerComponentCSS("Card", css);');
+    expect(adopted.code).not.toContain("document.createElement('style')");
+    expect(elements.code).not.toContain('registerComponentCSS');
+  });
+
+  it('should validate the injection backend', () => {
+    expect(() =>
+      validateConfig(loadConfig({ css: { injection: 'link' } }))
+    ).toThrow(/css\.injection must be 'style' or 'adopted'/);
+  });
+});
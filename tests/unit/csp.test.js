@@ -0,0 +1,121 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getStyleNonce,
+  createStyleElement,
+  toTrustedHTML,
+} from '../../src/client/security.js';
+import { setMorphConfig, renderComponent } from '../../src/client/runtime.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { processScriptContent } from '../../src/core/script.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+/**
+ * Minimal document with an optional nonce meta tag
+ * @param {string|null} metaNonce - Nonce of the meta tag
+ * @returns {Object} Fake document
+ */
+function createDocument(metaNonce) {
+  const app = { innerHTML: '' };
+  return {
+    head: { appendChild: (node) => node },
+    createElement: (tagName) => ({ tagName }),
+    getElementById: () => null,
+    querySelector: (selector) => {
+      if (selector === '#app') return app;
+      if (selector === 'meta[property="csp-nonce"]' && metaNonce) {
+        return { nonce: metaNonce, getAttribute: () => '' };
+      }
+      return null;
+    },
+  };
+}
+
+describe('CSP Nonce and Trusted Types', () => {
+  beforeEach(() => {
+    clearCache();
+    globalThis.document = createDocument('meta-nonce');
+  });
+
+  afterEach(() => {
+    setMorphConfig({ nonce: null });
+    delete globalThis.document;
+    delete globalThis.trustedTypes;
+  });
+
+  it('should read the nonce from the csp-nonce meta tag', () => {
+    expect(getStyleNonce()).toBe('meta-nonce');
+    expect(createStyleElement('morph-css-Card')).toEqual({
+      tagName: 'style',
+      id: 'morph-css-Card',
+      nonce: 'meta-nonce',
+    });
+  });
+
+  it('should prefer the nonce set through setMorphConfig', () => {
+    setMorphConfig({ nonce: 'config-nonce' });
+
+    expect(globalThis.__MORPH_NONCE__).toBe('config-nonce');
+    expect(createStyleElement().nonce).toBe('config-nonce');
+
+    setMorphConfig({ nonce: null });
+    globalThis.document = createDocument(null);
+    expect(createStyleElement().nonce).toBeUndefined();
+  });
+
+  it('should write rendered HTML through the morph Trusted Types policy', () => {
+    const policies = {};
+    globalThis.trustedTypes = {
+      createPolicy: (name, rules) => {
+        policies[name] = rules;
+        return { createHTML: (html) => ({ trusted: rules.createHTML(html) }) };
+      },
+    };
+
+    const render = (command, data) => `<p>${data.text}</p>`;
+    renderComponent('#app', render, { text: 'Hi' });
+
+    expect(Object.keys(policies)).toEqual(['morph']);
+    expect(document.querySelector('#app').innerHTML).toEqual({
+      trusted: '<p>Hi</p>',
+    });
+    expect(toTrustedHTML('<b></b>')).toEqual({ trusted: '<b></b>' });
+  });
+
+  it('should write plain strings when the policy cannot be created', async () => {
+    globalThis.trustedTypes = {
+      createPolicy: () => {
+        throw new TypeError('Policy "morph" disallowed');
+      },
+    };
+    // The policy is created once per module instance
+    vi.resetModules();
+    const security = await import('../../src/client/security.js');
+
+    expect(security.toTrustedHTML('<b></b>')).toBe('<b></b>');
+  });
+
+  it('should apply the nonce in generated style injection code', async () => {
+    const result = await processMorphFile(
+      '<div class="card"></div>\n<style>.card { color: red; }</style>',
+      '/src/Card.morph',
+      { css: { layers: { enabled: true } } }
+    );
+
+    expect(result.code).toContain(
+      "import { applyNonce } from '@peter.naydenov/vite-plugin-morph/client';"
+    );
+    expect(result.code).toContain('    applyNonce(styleElement);');
+    expect(result.code).toContain('    applyNonce(orderElement);');
+    expect(result.code).not.toContain('__MORPH_NONCE__');
+  });
+
+  it('should reserve the nonce helper name in scripts', () => {
+    expect(() => processScriptContent('function applyNonce() {}')).toThrow(
+      /reserved name/
+    );
+  });
+});
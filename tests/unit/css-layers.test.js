@@ -0,0 +1,151 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import {
+  resolveLayerConfig,
+  createLayerOrderStatement,
+  wrapInLayer,
+  layerStylesheet,
+  DEFAULT_LAYER_ORDER,
+} from '../../src/core/css-layers.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { CSSCollectionService } from '../../src/services/css-collection.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+const component = `<div class="card"></div>
+<style>.card { color: red; }</style>`;
+
+describe('CSS Layers', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should be disabled by default with the spec layer order', () => {
+    expect(resolveLayerConfig({})).toEqual({
+      enabled: false,
+      order: DEFAULT_LAYER_ORDER,
+    });
+    expect(DEFAULT_LAYER_ORDER).toEqual([
+      'reset',
+      'global',
+      'libraries',
+      'components',
+      'themes',
+    ]);
+  });
+
+  it('should lead standalone stylesheets with the order statement', () => {
+    const layers = { enabled: true, order: ['base', 'global', 'themes'] };
+
+    expect(createLayerOrderStatement(layers.order)).toBe(
+      '@layer base, global, themes;'
+    );
+    expect(layerStylesheet('body { margin: 0; }', 'global', layers)).toBe(
+      '@layer base, global, themes;\n@layer global {\nbody { margin: 0; }\n}'
+    );
+    expect(
+      layerStylesheet('body {}', 'global', { ...layers, enabled: false })
+    ).toBe('body {}');
+    expect(wrapInLayer('  ', 'global')).toBe('  ');
+  });
+
+  it('should wrap component CSS in the components layer', async () => {
+    const result = await processMorphFile(component, 'Card.morph', {
+      css: { layers: { enabled: true } },
+    });
+
+    expect(result.code).toMatch(
+      /const css = "@layer components \{\\n\.Card_card_\w+ \{ color: red; \}\\n\}";/
+    );
+  });
+
+  it('should inject the order statement before component styles', async () => {
+    const result = await processMorphFile(component, 'Card.morph', {
+      css: { layers: { enabled: true, order: ['global', 'components'] } },
+    });
+
+    expect(result.code).toContain(
+      `orderElement.textContent = "@layer global, components;";`
+    );
+    expect(result.code).toContain('document.head.prepend(orderElement);');
+  });
+
+  it('should leave component CSS unlayered unless enabled', async () => {
+    const result = await processMorphFile(component, 'Card.morph', {});
+
+    expect(result.code).not.toContain('@layer');
+    expect(result.code).not.toContain('morph-layer-order');
+  });
+
+  describe('Production bundle', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await mkdtemp(join(tmpdir(), 'morph-layers-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should layer global and component CSS in the configured order', async () => {
+      const service = new CSSCollectionService({
+        outputDir: tempDir,
+        chunkingEnabled: false,
+        layers: { enabled: true, order: ['global', 'components', 'themes'] },
+      });
+      service.applyTreeShaking = async () => {};
+      service.startCollection();
+      service.addGlobalCssFile('src/styles/main.css', 'body { margin: 0; }');
+      service.addComponentCss('Button', '.btn { color: red; }');
+      service.addComponentCss(
+        'Card',
+        '@layer components {\n.card { color: blue; }\n}'
+      );
+      await service.stopCollection();
+
+      const css = await readFile(join(tempDir, 'components.css'), 'utf-8');
+
+      expect(css.startsWith('@layer global, components, themes;\n')).toBe(true);
+      expect(css).toContain(
+        '@layer global {\n/* src/styles/main.css */\nbody { margin: 0; }'
+      );
+      expect(css).toContain('@layer components {\n.btn { color: red; }\n}');
+      // Already layered component CSS is not wrapped twice
+      expect(css.match(/@layer components/g)).toHaveLength(2);
+    });
+  });
+
+  it('should validate the layer configuration', () => {
+    expect(() =>
+      validateConfig(loadConfig({ css: { layers: { order: 'global' } } }))
+    ).toThrow(/css\.layers\.order must be an array of layer names/);
+    expect(() =>
+      validateConfig(loadConfig({ css: { layers: { enabled: 'yes' } } }))
+    ).toThrow(/css\.layers\.enabled must be a boolean/);
+    expect(() =>
+      validateConfig(
+        loadConfig({
+          css: { layers: { order: ['reset', 'global', 'components'] } },
+        })
+      )
+    ).toThrow(/css\.layers\.order must include the layers libraries, themes/);
+    expect(() =>
+      validateConfig(
+        loadConfig({
+          css: {
+            layers: {
+              order: ['global', 'libraries', 'app', 'components', 'themes'],
+            },
+          },
+        })
+      )
+    ).not.toThrow();
+  });
+});
@@ -4,7 +4,11 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { scopeCss, transformHtmlClasses } from '../../src/core/css-scoper.js';
+import {
+  scopeCss,
+  scopeStyleBlocks,
+  transformHtmlClasses,
+} from '../../src/core/css-scoper.js';
 
 describe('CSS Modules - Content-Based Hashing', () => {
   describe('scopeCss - Content-based hashing', () => {
@@ -221,4 +225,207 @@ describe('CSS Modules - Content-Based Hashing', () => {
       expect(match1[1]).not.toBe(match2[1]);
     });
   });
+
+  describe('Multiple style blocks', () => {
+    const blocks = [
+      { css: '* { box-sizing: border-box; }', kind: 'global', module: null },
+      { css: '.btn { color: red; }', kind: 'scoped', module: null },
+      { css: '.primary { color: blue; }', kind: 'module', module: 'variants' },
+      { css: '.btn:hover { color: pink; }', kind: 'scoped', module: null },
+    ];
+
+    it('should share one class map between scoped blocks', () => {
+      const result = scopeStyleBlocks(blocks, 'Button');
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['btn']);
+      expect(result.scopedCss).toContain(
+        `.${result.scopedClasses.btn}:hover { color: pink; }`
+      );
+    });
+
+    it('should keep global blocks unscoped and in document order', () => {
+      const result = scopeStyleBlocks(blocks, 'Button');
+      const lines = result.scopedCss.split('\n');
+
+      expect(lines[0]).toBe('* { box-sizing: border-box; }');
+      expect(lines[1]).toContain(result.scopedClasses.btn);
+      expect(lines[2]).toContain(result.modules.variants.primary);
+    });
+
+    it('should give each style module its own class map', () => {
+      const result = scopeStyleBlocks(blocks, 'Button');
+
+      expect(result.modules.variants.primary).toMatch(
+        /^Button_variants_primary_[a-z0-9]+$/
+      );
+      expect(result.scopedClasses.primary).toBeUndefined();
+    });
+
+    it('should reject module names that are not identifiers', () => {
+      expect(() =>
+        scopeStyleBlocks(
+          [{ css: '.x {}', kind: 'module', module: 'my-module' }],
+          'Button'
+        )
+      ).toThrow(/Invalid style module name/);
+    });
+
+    it('should export style modules from the generated module', async () => {
+      const { processMorphFile } = await import('../../src/core/processor.js');
+
+      const content = `
+<div class="btn">Click</div>
+<style global>body { margin: 0; }</style>
+<style>.btn { background: blue; }</style>
+<style module="sizes">.large { font-size: 2rem; }</style>
+`;
+
+      const result = await processMorphFile(content, 'Button.morph', {});
+
+      expect(result.templateObject.template).toContain('Button_btn_');
+      expect(result.code).toMatch(
+        /const modules = \{"sizes":\{"large":"Button_sizes_large_[a-z0-9]+"\}\};/
+      );
+      expect(result.code).toContain('export { modules };');
+      expect(result.code).toContain('body { margin: 0; }');
+    });
+  });
+
+  describe('Global and deep selectors', () => {
+    it('should leave :global() classes unscoped inside a scoped rule', () => {
+      const result = scopeCss(
+        '.card :global(.swiper-slide) { margin: 0; }\n:global(.dark) .card { color: white; }',
+        'Slider'
+      );
+      const card = result.scopedClasses.card;
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['card']);
+      expect(result.scopedCss).toContain(
+        `.${card} .swiper-slide { margin: 0; }`
+      );
+      expect(result.scopedCss).toContain(`.dark .${card} { color: white; }`);
+    });
+
+    it('should keep selector lists of :global() and :deep() in the compound', () => {
+      const result = scopeCss(
+        '.a :global(.b, .c) { margin: 0; }\n.d :deep(.e, [data-x="1,2"]) { padding: 0; }',
+        'C'
+      );
+      const { a, d } = result.scopedClasses;
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['a', 'd']);
+      expect(result.scopedCss).toContain(`.${a} :is(.b, .c) { margin: 0; }`);
+      expect(result.scopedCss).toContain(
+        `.${d} :is(.e, [data-x="1,2"]) { padding: 0; }`
+      );
+    });
+
+    it('should keep everything after a bare :global unscoped', () => {
+      const result = scopeCss(':global .vendor .x, .local { a: b; }', 'C');
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['local']);
+      expect(result.scopedCss).toBe(
+        `.vendor .x, .${result.scopedClasses.local} { a: b; }`
+      );
+    });
+
+    it('should unwrap :global blocks without scoping their rules', () => {
+      const result = scopeCss(
+        '.card { color: red; }\n:global {\n  .card { margin: 0; }\n  .reset { padding: 0; }\n}',
+        'C'
+      );
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['card']);
+      expect(result.scopedCss).not.toContain(':global');
+      expect(result.scopedCss).toMatch(/^\.card \{ margin: 0; \}$/m);
+      expect(result.scopedCss).toMatch(/^\.reset \{ padding: 0; \}$/m);
+    });
+
+    it('should scope the parent and not the target of :deep()', () => {
+      const result = scopeCss(
+        '.list :deep(.item .label) { font-weight: bold; }',
+        'C'
+      );
+
+      expect(Object.keys(result.scopedClasses)).toEqual(['list']);
+      expect(result.scopedCss).toBe(
+        `.${result.scopedClasses.list} .item .label { font-weight: bold; }`
+      );
+    });
+
+    it('should only rewrite whole class names in selectors', () => {
+      const result = scopeCss(
+        '.card { background: url(a.card.png); }\n.card-title[data-x=".card"] { color: blue; }',
+        'C'
+      );
+      const { card } = result.scopedClasses;
+
+      expect(result.scopedCss).toContain('url(a.card.png)');
+      expect(result.scopedCss).toContain(
+        `.${result.scopedClasses['card-title']}[data-x=".card"]`
+      );
+      expect(result.scopedCss).not.toContain(`${card}-title`);
+    });
+  });
+
+  describe('Keyframes and custom properties', () => {
+    const css = `.spinner { --size: 2rem; width: var(--size); animation: spin 1s linear, fade 2s; color: var(--brand); }
+@keyframes spin { to { transform: rotate(1turn); } }
+:global { @keyframes fade { from { opacity: 0; } } }`;
+
+    it('should leave keyframes and custom properties global by default', () => {
+      const result = scopeStyleBlocks([{ css, kind: 'scoped' }], 'Spinner');
+
+      expect(Object.keys(result.styles)).toEqual(['spinner']);
+      expect(result.scopedCss).toContain('@keyframes spin {');
+      expect(result.scopedCss).toContain('--size: 2rem; width: var(--size);');
+    });
+
+    it('should scope keyframes and the animations that use them', () => {
+      const result = scopeStyleBlocks([{ css, kind: 'scoped' }], 'Spinner', {
+        keyframes: true,
+      });
+      const spin = result.styles.spin;
+
+      expect(spin).toMatch(/^Spinner_spin_[a-z0-9]+$/);
+      expect(result.scopedCss).toContain(`@keyframes ${spin} {`);
+      expect(result.scopedCss).toContain(
+        `animation: ${spin} 1s linear, fade 2s;`
+      );
+      expect(result.scopedCss).toContain('@keyframes fade {');
+      // Templates only map class names
+      expect(result.scopedClasses.spin).toBeUndefined();
+    });
+
+    it('should scope locally declared custom properties', () => {
+      const result = scopeStyleBlocks([{ css, kind: 'scoped' }], 'Spinner', {
+        customProperties: true,
+      });
+      const size = result.styles['--size'];
+
+      expect(size).toMatch(/^--Spinner_size_[a-z0-9]+$/);
+      expect(result.scopedCss).toContain(`${size}: 2rem; width: var(${size});`);
+      expect(result.scopedCss).toContain('color: var(--brand);');
+      expect(result.styles['--brand']).toBeUndefined();
+    });
+
+    it('should expose scoped names to helpers through styles', async () => {
+      const { processMorphFile } = await import('../../src/core/processor.js');
+
+      const content = `<div class="spinner"></div>
+<style>.spinner { --size: 2rem; animation: spin 1s; }
+@keyframes spin { to { opacity: 0; } }</style>`;
+
+      const result = await processMorphFile(content, 'Spinner.morph', {
+        css: { modules: { keyframes: true, customProperties: true } },
+      });
+
+      expect(result.code).toMatch(
+        /const styles = \{"spinner":"Spinner_spinner_\w+","spin":"Spinner_spin_\w+","--size":"--Spinner_size_\w+"\};/
+      );
+      expect(result.templateObject.template).toMatch(
+        /^<div class="Spinner_spinner_\w+"><\/div>$/
+      );
+    });
+  });
 });
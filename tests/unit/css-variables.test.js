@@ -0,0 +1,117 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processMorphFile } from '../../src/core/processor.js';
+import {
+  extractDeclaredVariables,
+  findUndefinedVariables,
+} from '../../src/services/theme-variables.js';
+import { createMorphPlugin } from '../../src/plugin/index.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+const component = `<div class="card">{{ title }}</div>
+<style>
+  .card {
+    --card-gap: 1rem;
+    color: var(--color-text);
+    background: var(--color-surface);
+    border-color: var(--color-border, gray);
+    padding: var(--card-gap);
+  }
+</style>`;
+
+describe('CSS Variable Checks', () => {
+  it('should collect referenced variables the component does not declare', async () => {
+    const result = await processMorphFile(component, 'Card.morph', {
+      test: true,
+    });
+
+    expect(result.cssVariables).toEqual([
+      { name: '--color-text', fallback: false, line: 5, column: 12 },
+      { name: '--color-surface', fallback: false, line: 6, column: 17 },
+      { name: '--color-border', fallback: true, line: 7, column: 19 },
+    ]);
+  });
+
+  it('should only report references without fallback that nothing defines', () => {
+    const references = [
+      { name: '--color-text', fallback: false },
+      { name: '--color-surface', fallback: false },
+      { name: '--color-border', fallback: true },
+    ];
+
+    expect(
+      findUndefinedVariables(references, new Set(['--color-text']))
+    ).toEqual([{ name: '--color-surface', fallback: false }]);
+    expect(
+      extractDeclaredVariables('body { --gap: 1rem; color: var(--x); }')
+    ).toEqual(['--gap']);
+  });
+
+  it('should validate css.undefinedVariables', () => {
+    expect(() =>
+      validateConfig(loadConfig({ css: { undefinedVariables: 'error' } }))
+    ).toThrow(/css\.undefinedVariables must be 'warn' or 'off'/);
+    expect(() =>
+      validateConfig(loadConfig({ css: { undefinedVariables: 'off' } }))
+    ).not.toThrow();
+  });
+
+  describe('plugin', () => {
+    let root;
+
+    /**
+     * Transform the test component with a plugin for the temporary project
+     * @param {Object} [options={}] - Plugin options
+     * @returns {Promise<string[]>} Warnings passed to the plugin context
+     */
+    async function transform(options = {}) {
+      const plugin = createMorphPlugin({
+        localThemes: { directory: 'themes' },
+        ...options,
+      });
+      plugin.configResolved({ root, command: 'serve' });
+      const warnings = [];
+      const context = {
+        warn: (message) => warnings.push(message),
+        addWatchFile: () => {},
+      };
+      await plugin.buildStart.call(context);
+      const file = path.join(root, 'Card.morph');
+      await plugin.transform.call(context, component, file);
+      return warnings;
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-variables-'));
+      fs.mkdirSync(path.join(root, 'themes'));
+      fs.writeFileSync(
+        path.join(root, 'themes', 'light.css'),
+        ':root { --color-text: #222; }'
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should warn about variables no theme defines', async () => {
+      const warnings = await transform();
+
+      expect(warnings).toEqual([
+        `Card: var(--color-surface) is not defined by any theme and has no fallback (${path.join(root, 'Card.morph')}:6:17)`,
+      ]);
+    });
+
+    it('should not warn when turned off', async () => {
+      const warnings = await transform({ css: { undefinedVariables: 'off' } });
+
+      expect(warnings).toEqual([]);
+    });
+  });
+});
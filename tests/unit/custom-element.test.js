@@ -0,0 +1,188 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  toElementName,
+  parseElementRequest,
+} from '../../src/core/custom-element.js';
+import { defineMorphElement, getDataFields } from '../../src/client/element.js';
+import { createMorphPlugin } from '../../src/plugin/index.js';
+import { processScriptContent } from '../../src/core/script.js';
+
+/**
+ * Minimal Custom Elements environment: HTMLElement, shadow roots and a registry
+ */
+function installCustomElements() {
+  const createNode = () => ({
+    style: {},
+    innerHTML: '',
+    children: [],
+    appendChild(node) {
+      this.children.push(node);
+      return node;
+    },
+  });
+
+  globalThis.document = { createElement: createNode };
+  globalThis.CSSStyleSheet = class {
+    replaceSync(css) {
+      this.css = css;
+    }
+  };
+  globalThis.HTMLElement = class {
+    constructor() {
+      this.isConnected = false;
+    }
+    attachShadow() {
+      this.shadowRoot = { ...createNode(), adoptedStyleSheets: [] };
+      return this.shadowRoot;
+    }
+  };
+  Object.defineProperty(globalThis.HTMLElement.prototype, 'title', {
+    value: '',
+    writable: true,
+  });
+  const registry = new Map();
+  globalThis.customElements = {
+    get: (name) => registry.get(name),
+    define: (name, constructor) => registry.set(name, constructor),
+  };
+}
+
+const component = {
+  default: (command, data) =>
+    `<button class="button_x1">${data.label}/${data.userName}</button>`,
+  template: {
+    template: '<button>{{ label }} {{ userName : upper }} {{ title }}</button>',
+    handshake: { label: 'Save', size: 'small' },
+  },
+  css: '.button_x1 { color: red; }',
+};
+
+describe('Custom Element Wrappers', () => {
+  it('should derive element names from component names', () => {
+    expect(toElementName('Button')).toBe('morph-button');
+    expect(toElementName('UserCard')).toBe('morph-user-card');
+    expect(toElementName('date_picker')).toBe('morph-date-picker');
+  });
+
+  it('should parse ?element requests with an optional tag name', () => {
+    expect(parseElementRequest('/src/UserCard.morph?element')).toEqual({
+      filePath: '/src/UserCard.morph',
+      tagName: 'morph-user-card',
+    });
+    expect(
+      parseElementRequest('/src/Button.morph?element=app-button').tagName
+    ).toBe('app-button');
+    expect(parseElementRequest('/src/Button.morph')).toBeNull();
+    expect(parseElementRequest('/src/Button.morph?raw')).toBeNull();
+    expect(() =>
+      parseElementRequest('/src/Button.morph?element=Button')
+    ).toThrow(/Invalid custom element name "Button"/);
+  });
+
+  it('should compile ?element modules without document CSS injection', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-element-'));
+    try {
+      const file = path.join(root, 'Button.morph');
+      const source =
+        '<button class="button">{{ label }}</button>\n<style>.button { color: red; }</style>';
+      fs.writeFileSync(file, source);
+      const plugin = createMorphPlugin({});
+
+      const code = await plugin.load(`${file}?element=app-button`);
+      expect(code).toBe(source);
+
+      const result = await plugin.transform(code, `${file}?element=app-button`);
+      expect(result.code).toContain(
+        "import { defineMorphElement } from '@peter.naydenov/vite-plugin-morph/element';"
+      );
+      expect(result.code).toContain(
+        'export default defineMorphElement("app-button", { default: renderFunction, template, css });'
+      );
+      expect(result.code).toContain('export { css };');
+      expect(result.code).not.toContain('document');
+      expect(result.code).not.toContain('export default renderFunction;');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should reserve the element helper name in scripts', () => {
+    expect(() =>
+      processScriptContent('const defineMorphElement = null;')
+    ).toThrow(/reserved name/);
+  });
+
+  it('should read data fields from the handshake and the template', () => {
+    expect(getDataFields(component.template)).toEqual([
+      'label',
+      'size',
+      'userName',
+      'title',
+    ]);
+  });
+
+  describe('defineMorphElement', () => {
+    beforeEach(() => {
+      installCustomElements();
+    });
+
+    afterEach(() => {
+      for (const name of [
+        'document',
+        'CSSStyleSheet',
+        'HTMLElement',
+        'customElements',
+      ]) {
+        delete globalThis[name];
+      }
+    });
+
+    it('should render attributes and properties into the shadow root', () => {
+      const ButtonElement = defineMorphElement('morph-button', component);
+      const element = new ButtonElement();
+
+      expect(ButtonElement.observedAttributes).toEqual([
+        'label',
+        'size',
+        'user-name',
+        'title',
+      ]);
+
+      element.isConnected = true;
+      element.attributeChangedCallback('label', null, 'Send');
+      element.userName = 'Ada';
+
+      const content = element.shadowRoot.children[0];
+      expect(content.innerHTML).toBe(
+        '<button class="button_x1">Send/Ada</button>'
+      );
+      expect(element.data).toEqual({ label: 'Send', userName: 'Ada' });
+      // Built-in properties are not replaced
+      expect(
+        Object.getOwnPropertyDescriptor(ButtonElement.prototype, 'title')
+      ).toBeUndefined();
+    });
+
+    it('should share one adopted stylesheet between instances', () => {
+      const ButtonElement = defineMorphElement('morph-button', component);
+      const first = new ButtonElement();
+      const second = new ButtonElement();
+
+      expect(first.shadowRoot.adoptedStyleSheets).toHaveLength(1);
+      expect(first.shadowRoot.adoptedStyleSheets[0].css).toBe(
+        '.button_x1 { color: red; }'
+      );
+      expect(second.shadowRoot.adoptedStyleSheets[0]).toBe(
+        first.shadowRoot.adoptedStyleSheets[0]
+      );
+      expect(defineMorphElement('morph-button', component)).toBe(ButtonElement);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import {
+  generateComponentDeclaration,
+  extractDataFields,
+  writeComponentDeclaration,
+} from '../../src/core/declarations.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { createMorphPlugin } from '../../src/plugin/index.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+const cardContent = `<div class="card">{{ title }} {{ user.name : upper }} {{ items : [], row }}</div>
+<script>
+function upper({ data }) { return data.toUpperCase(); }
+const row = '<li>{{text}}</li>';
+</script>
+<script type="application/json">
+{ "title": "Hello", "count": 3, "items": [{ "text": "a" }], "tags": ["a", 1] }
+</script>
+<style>.card { color: red; } .card-title { color: blue; }</style>`;
+
+describe('Component Declarations', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should collect data fields referenced by placeholders', () => {
+    expect(
+      extractDataFields(
+        '{{ title }} {{ user.name : upper }} {{ @all : debug }} {{ : helper }}'
+      )
+    ).toEqual(['title', 'user']);
+  });
+
+  it('should infer the data shape from the handshake and placeholders', async () => {
+    const result = await processMorphFile(cardContent, '/src/user-card.morph', {
+      declarations: { enabled: true },
+    });
+    const dts = result.declaration;
+
+    expect(dts).toContain('export interface UserCardData {');
+    expect(dts).toContain('  title?: string;');
+    expect(dts).toContain('  count?: number;');
+    expect(dts).toContain('  items?: {\n    text: string;\n  }[];');
+    expect(dts).toContain('  tags?: Array<string | number>;');
+    expect(dts).toContain('  user?: unknown;');
+    expect(dts).toContain(
+      "(command: 'render', data?: UserCardData, ...args: unknown[]): string;"
+    );
+    expect(dts).toContain('export default render;');
+    expect(dts).toContain('  readonly componentName: string;');
+    expect(dts).toContain('  readonly css: string;');
+    expect(dts).toContain('/** Helpers: upper, row */');
+  });
+
+  it('should declare the named exports of the generated module', async () => {
+    const result = await processMorphFile(cardContent, '/src/Card.morph', {
+      declarations: { enabled: true },
+    });
+    const dts = result.declaration;
+
+    expect(dts).toContain('export declare const template: {');
+    expect(dts).toContain('export declare const handshake: CardData;');
+    expect(dts).toContain('export declare const css: string;');
+    expect(dts).toContain(
+      'export declare const componentsCSS: Record<string, string>;'
+    );
+    expect(dts).toContain('  readonly card: string;');
+    expect(dts).toContain('  readonly "card-title": string;');
+    // Every declared export exists in the module
+    expect(result.code).toContain('export { styles };');
+    expect(result.code).toContain('export { template };');
+  });
+
+  it('should declare only styles for CSS-only files', () => {
+    const dts = generateComponentDeclaration({
+      componentName: 'global',
+      isCSSOnly: true,
+    });
+
+    expect(dts).toContain('export declare const styles: string;');
+    expect(dts).not.toContain('render');
+  });
+
+  it('should not generate declarations unless enabled', async () => {
+    const result = await processMorphFile(cardContent, '/src/Card.morph', {});
+
+    expect(result.declaration).toBeNull();
+  });
+
+  describe('Writing declaration files', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await mkdtemp(join(tmpdir(), 'morph-dts-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should only rewrite the file when the content changes', async () => {
+      const filePath = join(tempDir, 'Card.morph');
+
+      expect(await writeComponentDeclaration(filePath, 'a')).toBe(true);
+      expect(await writeComponentDeclaration(filePath, 'a')).toBe(false);
+      expect(await writeComponentDeclaration(filePath, 'b')).toBe(true);
+      expect(await readFile(`${filePath}.d.ts`, 'utf-8')).toBe('b');
+    });
+
+    it('should write Component.morph.d.ts from the plugin transform', async () => {
+      const filePath = join(tempDir, 'Card.morph');
+      await writeFile(filePath, cardContent);
+
+      const plugin = createMorphPlugin({ declarations: { enabled: true } });
+      await plugin.transform(cardContent, filePath);
+
+      const dts = await readFile(`${filePath}.d.ts`, 'utf-8');
+      expect(dts).toContain('export interface CardData {');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  designTokensToVariables,
+  isDesignTokens,
+} from '../../src/services/design-tokens.js';
+import { createThemeDiscovery } from '../../src/services/theme-discovery.js';
+import { extractThemesFromDir } from '../../src/services/theme-variables.js';
+import { createLibraryBuilder } from '../../src/services/library-builder.js';
+
+const tokens = {
+  color: {
+    $type: 'color',
+    blue: { $value: '#0070f3' },
+    primary: { $value: '{color.blue}' },
+    overlay: {
+      $value: { colorSpace: 'srgb', components: [0, 0, 0], alpha: 0.5 },
+    },
+  },
+  space: {
+    $type: 'dimension',
+    base: { $value: { value: 4, unit: 'px' } },
+    gap: { $value: 'calc({space.base} * 2)' },
+  },
+  shadow: {
+    card: {
+      $type: 'shadow',
+      $value: {
+        color: '{color.overlay}',
+        offsetX: '0px',
+        offsetY: '{space.base}',
+        blur: '8px',
+        spread: '0px',
+      },
+    },
+  },
+  font: {
+    body: { $type: 'fontFamily', $value: ['Open Sans', 'sans-serif'] },
+    heading: {
+      $type: 'typography',
+      $value: {
+        fontFamily: '{font.body}',
+        fontSize: { value: 2, unit: 'rem' },
+        fontWeight: 700,
+      },
+    },
+  },
+  easing: {
+    standard: { $type: 'cubicBezier', $value: [0.4, 0, 0.2, 1] },
+  },
+};
+
+describe('Design Tokens', () => {
+  it('should flatten tokens into CSS variables and resolve aliases', () => {
+    expect(designTokensToVariables(tokens)).toEqual({
+      '--color-blue': '#0070f3',
+      '--color-primary': '#0070f3',
+      '--color-overlay': 'color(srgb 0 0 0 / 0.5)',
+      '--space-base': '4px',
+      '--space-gap': 'calc(4px * 2)',
+      '--shadow-card': '0px 4px 8px 0px color(srgb 0 0 0 / 0.5)',
+      '--font-body': '"Open Sans", sans-serif',
+      '--font-heading-font-family': '"Open Sans", sans-serif',
+      '--font-heading-font-size': '2rem',
+      '--font-heading-font-weight': '700',
+      '--easing-standard': 'cubic-bezier(0.4, 0, 0.2, 1)',
+    });
+  });
+
+  it('should reject unknown and circular aliases', () => {
+    expect(() =>
+      designTokensToVariables({ color: { a: { $value: '{color.missing}' } } })
+    ).toThrow(
+      "Design token 'color.a' references unknown token 'color.missing'"
+    );
+    expect(() =>
+      designTokensToVariables({
+        color: {
+          a: { $value: '{color.b}' },
+          b: { $value: '{color.a}' },
+        },
+      })
+    ).toThrow('Circular design token alias: color.a -> color.b -> color.a');
+  });
+
+  it('should tell token files from plugin themes', () => {
+    expect(isDesignTokens(tokens)).toBe(true);
+    expect(
+      isDesignTokens({ name: 'dark', variables: { '--bg': '#000' } })
+    ).toBe(false);
+  });
+
+  describe('theme sources', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-tokens-'));
+      fs.writeFileSync(
+        path.join(root, 'dark.tokens.json'),
+        JSON.stringify({
+          color: { bg: { $type: 'color', $value: '#111' } },
+        })
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should load token files with theme discovery', async () => {
+      const discovery = createThemeDiscovery({ directories: [root] });
+      const themes = await discovery.discoverThemes();
+
+      expect(themes.get('dark')).toMatchObject({
+        name: 'dark',
+        variables: { '--color-bg': '#111' },
+      });
+    });
+
+    it('should only read design tokens from .tokens.json files', async () => {
+      fs.writeFileSync(
+        path.join(root, 'brand.json'),
+        JSON.stringify({ color: { bg: { $value: '#f00' } } })
+      );
+
+      const discovery = createThemeDiscovery({ directories: [root] });
+      const themes = await discovery.discoverThemes();
+
+      expect([...themes.keys()]).toEqual(['dark']);
+      expect(Object.keys(await extractThemesFromDir(root))).toEqual(['dark']);
+    });
+
+    it('should compile token files into library themes', async () => {
+      fs.mkdirSync(path.join(root, 'src'));
+      fs.renameSync(
+        path.join(root, 'dark.tokens.json'),
+        path.join(root, 'src', 'dark.tokens.json')
+      );
+      const builder = createLibraryBuilder({
+        rootDir: root,
+        themesDir: 'src',
+        outputDir: path.join(root, 'dist'),
+      });
+
+      await builder.copyAssets();
+
+      expect(
+        fs.readFileSync(path.join(root, 'dist', 'themes', 'dark.css'), 'utf-8')
+      ).toBe(':root {\n  --color-bg: #111;\n}\n');
+
+      fs.writeFileSync(
+        path.join(root, 'src', 'dark.tokens.json'),
+        JSON.stringify({ color: { bg: { $value: '{color.missing}' } } })
+      );
+      await expect(builder.copyAssets()).rejects.toThrow(
+        "Design token 'color.bg' references unknown token 'color.missing'"
+      );
+    });
+
+    it('should load token files for themesControl', async () => {
+      const themes = await extractThemesFromDir(root);
+
+      expect(themes).toEqual({
+        dark: {
+          variables: { '--color-bg': '#111' },
+          raw: ':root {\n  --color-bg: #111;\n}\n',
+        },
+      });
+    });
+  });
+});
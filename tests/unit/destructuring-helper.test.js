@@ -15,7 +15,7 @@ describe('Helper Template Destructuring Support', () => {
 
     expect(result.functions).toBeDefined();
     expect(result.functions.showProfile).toBeDefined();
-    expect(typeof result.functions.showProfile).toBe('function');
+    expect(typeof result.functions.showProfile).toBe('string');
     expect(result.functions.showProfile.toString()).toContain('data.profile');
     expect(result.functions.showProfile.toString()).toContain('data.icons');
     expect(result.functions.showProfile.toString()).toContain('cards');
@@ -0,0 +1,186 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processMorphFile } from '../../src/core/processor.js';
+import {
+  DiskCache,
+  clearCache,
+  getCacheDirectory,
+} from '../../src/utils/cache.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+describe('Disk Cache', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-cache-'));
+    clearCache();
+  });
+
+  afterEach(() => {
+    clearCache({ root });
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should reuse results written before a restart', async () => {
+    const content = `<div class="card">{{ title }}</div>
+<style>.card { color: red; }</style>`;
+    const options = { rootDir: root, cache: { enabled: true } };
+
+    const first = await processMorphFile(content, 'Card.morph', options);
+    const cacheDir = getCacheDirectory(root);
+    expect(cacheDir).toBe(
+      path.join(root, 'node_modules', '.vite', 'vite-plugin-morph')
+    );
+    expect(fs.readdirSync(cacheDir)).toHaveLength(1);
+
+    // A new dev server starts with an empty in-memory cache
+    clearCache();
+    const second = await processMorphFile(content, 'Card.morph', options);
+
+    expect(second.code).toBe(first.code);
+    expect(second.processingTime).toBe(first.processingTime);
+  });
+
+  it('should key results by options and file path', async () => {
+    const content = '<div>{{ title }}</div>';
+
+    await processMorphFile(content, 'Card.morph', {
+      rootDir: root,
+      cache: { enabled: true },
+    });
+    await processMorphFile(content, 'Card.morph', {
+      rootDir: root,
+      cache: { enabled: true },
+      ssr: true,
+    });
+    await processMorphFile(content, 'Other.morph', {
+      rootDir: root,
+      cache: { enabled: true },
+    });
+
+    expect(fs.readdirSync(getCacheDirectory(root))).toHaveLength(3);
+  });
+
+  it('should key results by the PostCSS config and Vite CSS settings', async () => {
+    const content = '<div>{{ title }}</div>';
+    const aliasConfig = (replacement) => ({
+      css: {},
+      resolve: { alias: [{ find: /^@styles/, replacement }] },
+    });
+    const variants = [
+      {},
+      { postcssConfigHash: 'a1' },
+      { postcssConfigHash: 'b2' },
+      { viteConfig: aliasConfig('/src/styles') },
+      { viteConfig: aliasConfig('/src/theme') },
+    ];
+
+    for (const variant of [...variants, variants[1], variants[3]]) {
+      await processMorphFile(content, 'Card.morph', {
+        rootDir: root,
+        cache: { enabled: true },
+        ...variant,
+      });
+    }
+
+    expect(fs.readdirSync(getCacheDirectory(root))).toHaveLength(5);
+  });
+
+  it('should not cache results that depend on a directory', async () => {
+    fs.writeFileSync(path.join(root, 'page.html'), '<p class="p-4"></p>');
+    // Reports its content directory like Tailwind does
+    const contentScanner = {
+      postcssPlugin: 'test-content',
+      Once(css, { result }) {
+        result.messages.push({
+          type: 'dir-dependency',
+          plugin: 'test-content',
+          dir: root,
+          glob: '**/*.html',
+          parent: result.opts.from,
+        });
+      },
+    };
+
+    const result = await processMorphFile(
+      '<div class="card"></div>\n<style>.card { color: red; }</style>',
+      path.join(root, 'Card.morph'),
+      {
+        rootDir: root,
+        cache: { enabled: true },
+        postcssPlugins: [contentScanner],
+      }
+    );
+
+    expect(result.metadata.watchFiles).toEqual([
+      root,
+      path.join(root, 'page.html'),
+    ]);
+    expect(fs.existsSync(getCacheDirectory(root))).toBe(false);
+  });
+
+  it('should not write to disk when disabled or in tests', async () => {
+    const content = '<div>{{ title }}</div>';
+
+    await processMorphFile(content, 'Card.morph', { rootDir: root });
+    await processMorphFile(content, 'Card.morph', {
+      rootDir: root,
+      cache: { enabled: true },
+      test: true,
+    });
+
+    expect(fs.existsSync(getCacheDirectory(root))).toBe(false);
+  });
+
+  it('should evict the least recently used entries past maxSize', async () => {
+    const directory = getCacheDirectory(root);
+    const writer = new DiskCache({ directory });
+    await writer.set('first', { code: 'a'.repeat(100) });
+    await writer.set('second', { code: 'b'.repeat(100) });
+    const entrySize = writer.getStats().size / 2;
+    const past = new Date(Date.now() - 60000);
+    for (const key of ['first', 'second']) {
+      fs.utimesSync(path.join(directory, writer.getFileName(key)), past, past);
+    }
+
+    // Room for two entries, reading `first` makes `second` the oldest
+    const cache = new DiskCache({ directory, maxSize: entrySize * 2 });
+    expect(await cache.get('first')).toEqual({ code: 'a'.repeat(100) });
+    await cache.set('third', { code: 'c'.repeat(100) });
+
+    expect(await cache.get('first')).not.toBeNull();
+    expect(await cache.get('second')).toBeNull();
+    expect(await cache.get('third')).not.toBeNull();
+    expect(cache.getStats().entries).toBe(2);
+  });
+
+  it('should purge the directory with clearCache', async () => {
+    await processMorphFile('<div>{{ title }}</div>', 'Card.morph', {
+      rootDir: root,
+      cache: { enabled: true },
+    });
+    expect(fs.existsSync(getCacheDirectory(root))).toBe(true);
+
+    clearCache({ root });
+
+    expect(fs.existsSync(getCacheDirectory(root))).toBe(false);
+  });
+
+  it('should validate cache options', () => {
+    expect(() =>
+      validateConfig(loadConfig({ cache: { enabled: 'yes' } }))
+    ).toThrow(/cache\.enabled must be a boolean/);
+    expect(() => validateConfig(loadConfig({ cache: { maxSize: 0 } }))).toThrow(
+      /cache\.maxSize must be a positive number/
+    );
+    expect(() =>
+      validateConfig(loadConfig({ cache: { maxSize: 1024 } }))
+    ).not.toThrow();
+  });
+});
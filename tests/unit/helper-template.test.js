@@ -41,7 +41,7 @@ describe('Helper Template Support', () => {
       const result = processScriptContent(scriptContent);
 
       expect(result.functions).toHaveProperty('formatTitle');
-      expect(result.functions.formatTitle).toBeInstanceOf(Function);
+      expect(result.functions.formatTitle).toContain('function formatTitle(title)');
       expect(result.templates).toHaveProperty('header');
       expect(result.templates.header).toBe('<h1>{{title}}</h1>');
     }); // it
@@ -9,6 +9,7 @@ import {
   parseHTMLFragment,
   extractScriptContent,
   extractStyleContent,
+  extractStyleBlocks,
   getNodeLocation,
 } from '../../src/core/parser.js';
 import { extractTemplateContent } from '../../src/core/template.js';
@@ -161,6 +162,34 @@ describe('HTML Parser', () => {
     }); // it
   }); // describe
 
+  describe('extractStyleBlocks', () => {
+    it('should extract every style block with its kind', () => {
+      const content = `
+                    <style global>body { margin: 0; }</style>
+                    <style>.card { color: red; }</style>
+                    <style scoped>.title { color: blue; }</style>
+                    <style module="sizes">.large { font-size: 2rem; }</style>
+                  `;
+      const document = parseMorphFile(content);
+
+      const blocks = extractStyleBlocks(document);
+      expect(blocks.map((block) => block.kind)).toEqual([
+        'global',
+        'scoped',
+        'scoped',
+        'module',
+      ]);
+      expect(blocks[3].module).toBe('sizes');
+      expect(blocks[1].css).toBe('.card { color: red; }');
+    });
+
+    it('should return an empty list when no style tag exists', () => {
+      const document = parseMorphFile('<div>No styles here</div>');
+
+      expect(extractStyleBlocks(document)).toEqual([]);
+    });
+  }); // describe
+
   describe('extractTemplateContent', () => {
     it('should extract template content excluding scripts and styles', () => {
       const content = `
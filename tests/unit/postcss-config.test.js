@@ -0,0 +1,177 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { processStyleBlocks } from '../../src/core/css-processor.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { loadPostCSSConfig } from '../../src/services/library-css-processor.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+/**
+ * Stand-in for a design-token plugin: `token(name)` becomes a value
+ */
+const tokens = () => ({
+  postcssPlugin: 'test-tokens',
+  Declaration(decl, { result }) {
+    if (decl.value.includes('token(')) {
+      decl.value = decl.value.replace(/token\((\w+)\)/g, (m, name) =>
+        name === 'brand' ? '#0055ff' : m
+      );
+      result.messages.push({
+        type: 'dependency',
+        plugin: 'test-tokens',
+        file: '/project/tokens.json',
+        parent: result.opts.from,
+      });
+    }
+  },
+});
+tokens.postcss = true;
+
+/**
+ * Stand-in for a utility plugin that generates class rules
+ */
+const utilities = () => ({
+  postcssPlugin: 'test-utilities',
+  AtRule: {
+    utilities(atRule, { postcss }) {
+      atRule.replaceWith(postcss.parse('.p-4 { padding: 1rem; }'));
+    },
+  },
+});
+utilities.postcss = true;
+
+describe('Host PostCSS Config', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should leave blocks untouched without plugins', async () => {
+    const blocks = [{ css: '.a { color: token(brand); }', kind: 'scoped' }];
+
+    const result = await processStyleBlocks(blocks, '/src/Card.morph');
+
+    expect(result.blocks).toBe(blocks);
+    expect(result.dependencies).toEqual([]);
+  });
+
+  it('should run every block through the plugins and collect dependencies', async () => {
+    const result = await processStyleBlocks(
+      [
+        { css: '.a { color: token(brand); }', kind: 'scoped' },
+        { css: 'body { color: token(brand); }', kind: 'global' },
+      ],
+      '/src/Card.morph',
+      [tokens()]
+    );
+
+    expect(result.blocks[0].css).toBe('.a { color: #0055ff; }');
+    expect(result.blocks[1]).toEqual({
+      css: 'body { color: #0055ff; }',
+      kind: 'global',
+    });
+    expect(result.dependencies).toEqual(['/project/tokens.json']);
+  });
+
+  it('should scope classes generated by plugins', async () => {
+    const content = `<div class="card p-4"></div>
+<style>
+@utilities;
+.card { color: token(brand); }
+</style>`;
+
+    const result = await processMorphFile(content, '/src/Card.morph', {
+      postcssPlugins: [tokens(), utilities()],
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.templateObject.template).toMatch(
+      /class="Card_card_\w+ Card_p-4_\w+"/
+    );
+    expect(result.code).toMatch(/\.Card_p-4_\w+ \{ padding: 1rem; \}/);
+    expect(result.code).toMatch(/\.Card_card_\w+ \{ color: #0055ff; \}/);
+    expect(result.metadata.watchFiles).toEqual(['/project/tokens.json']);
+  });
+
+  it('should report plugin failures as CSS processing errors', async () => {
+    const failing = () => ({
+      postcssPlugin: 'test-failing',
+      Once() {
+        throw new Error('Unknown utility');
+      },
+    });
+    failing.postcss = true;
+
+    const result = await processMorphFile(
+      '<div class="a"></div><style>.a {}</style>',
+      '/src/Broken.morph',
+      { postcssPlugins: [failing()] }
+    );
+
+    expect(result.errors[0].code).toBe('CSS_PROCESSING_ERROR');
+    expect(result.errors[0].message).toContain('Unknown utility');
+  });
+
+  describe('loadPostCSSConfig', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await mkdtemp(join(tmpdir(), 'morph-postcss-test-'));
+      const pluginDir = join(projectRoot, 'node_modules', 'postcss-fake');
+      await mkdir(pluginDir, { recursive: true });
+      await writeFile(
+        join(pluginDir, 'package.json'),
+        JSON.stringify({ name: 'postcss-fake', main: 'index.js' })
+      );
+      await writeFile(
+        join(pluginDir, 'index.js'),
+        `module.exports = (options = {}) => ({ postcssPlugin: 'postcss-fake', options });
+module.exports.postcss = true;`
+      );
+    });
+
+    afterEach(async () => {
+      await rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should resolve object-form plugins from the project', async () => {
+      await writeFile(
+        join(projectRoot, 'postcss.config.mjs'),
+        `export default { plugins: { 'postcss-fake': { size: 2 }, 'postcss-missing': false } };`
+      );
+
+      const config = await loadPostCSSConfig(projectRoot);
+
+      expect(config.hash).toMatch(/^[0-9a-f]{32}$/);
+      expect(config.plugins).toHaveLength(1);
+      expect(config.plugins[0]).toEqual({
+        postcssPlugin: 'postcss-fake',
+        options: { size: 2 },
+      });
+    });
+
+    it('should have no hash without a config file', async () => {
+      expect(await loadPostCSSConfig(projectRoot)).toEqual({
+        plugins: [],
+        hash: null,
+      });
+    });
+
+    it('should call configs exported as functions', async () => {
+      await writeFile(
+        join(projectRoot, 'postcss.config.mjs'),
+        `export default (ctx) => ({ plugins: [{ postcssPlugin: 'inline', cwd: ctx.cwd }] });`
+      );
+
+      const config = await loadPostCSSConfig(projectRoot);
+
+      expect(config.plugins).toEqual([
+        { postcssPlugin: 'inline', cwd: projectRoot },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { renderComponent } from '../../src/client/runtime.js';
+import { processMorphFile } from '../../src/core/processor.js';
+
+/**
+ * Minimal document with a head and element lookup by selector and id
+ * @returns {Object} Fake document
+ */
+function createDocument() {
+  const head = {
+    children: [],
+    appendChild(node) {
+      node.parent = head;
+      head.children.push(node);
+      return node;
+    },
+  };
+  const createNode = (tagName) => ({
+    tagName,
+    id: '',
+    textContent: '',
+    innerHTML: '',
+    remove() {
+      const index = head.children.indexOf(this);
+      if (index >= 0) head.children.splice(index, 1);
+    },
+  });
+  const elements = { '#app': createNode('div'), '#side': createNode('div') };
+
+  return {
+    head,
+    createElement: createNode,
+    querySelector: (selector) => elements[selector] || null,
+    getElementById: (id) => head.children.find((node) => node.id === id),
+  };
+}
+
+/**
+ * Render function shaped like the default export of a .morph module
+ * @returns {Function} Render function
+ */
+function createCard() {
+  const render = (command, data) => `<div class="card_x1">${data.title}</div>`;
+  render.componentName = 'Card';
+  render.css = '.card_x1 { color: red; }';
+  return render;
+}
+
+describe('renderComponent', () => {
+  beforeEach(() => {
+    globalThis.document = createDocument();
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  it('should render into the element and re-render on update', () => {
+    const card = renderComponent('#app', createCard(), { title: 'One' });
+
+    expect(card.element.innerHTML).toBe('<div class="card_x1">One</div>');
+
+    card.update({ title: 'Two' });
+    expect(card.element.innerHTML).toBe('<div class="card_x1">Two</div>');
+
+    card.unmount();
+    expect(card.element.innerHTML).toBe('');
+    expect(() => card.update({ title: 'Three' })).toThrow(/unmounted/);
+  });
+
+  it('should remove the component CSS when the last instance unmounts', () => {
+    const Card = createCard();
+    const first = renderComponent('#app', Card, { title: 'A' });
+    const second = renderComponent('#side', Card, { title: 'B' });
+
+    const style = document.getElementById('morph-css-Card');
+    expect(style.textContent).toBe('.card_x1 { color: red; }');
+    expect(document.head.children).toHaveLength(1);
+
+    first.unmount();
+    expect(document.getElementById('morph-css-Card')).toBe(style);
+
+    second.unmount();
+    expect(document.getElementById('morph-css-Card')).toBeUndefined();
+  });
+
+  it('should unmount the previous component of a reused element', () => {
+    const Card = createCard();
+    const first = renderComponent('#app', Card, { title: 'A' });
+    renderComponent('#app', Card, { title: 'B' }).unmount();
+
+    expect(document.getElementById('morph-css-Card')).toBeUndefined();
+    expect(() => first.update()).toThrow(/unmounted/);
+  });
+
+  it('should remove CSS that the module injected on import', async () => {
+    const outDir = fs.mkdtempSync(
+      path.join(process.cwd(), 'node_modules', '.morph-mount-')
+    );
+    try {
+      const file = path.join(outDir, 'user.card.morph');
+      const result = await processMorphFile(
+        '<div class="card">{{ title }}</div>\n<style>.card { color: red; }</style>',
+        file,
+        { test: true }
+      );
+      fs.writeFileSync(`${file}.mjs`, result.code);
+
+      // Importing the module injects its CSS
+      const card = await import(pathToFileURL(`${file}.mjs`).href);
+      const style = document.getElementById('morph-css-user-card');
+      expect(style.textContent).toBe(card.css);
+
+      const instance = renderComponent('#app', card.default, { title: 'A' });
+      expect(document.head.children).toEqual([style]);
+
+      instance.unmount();
+      expect(document.getElementById('morph-css-user-card')).toBeUndefined();
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should inject CSS under the style id the runtime uses', async () => {
+    const component = await processMorphFile(
+      '<div class="card">{{ title }}</div>\n<style>.card { color: red; }</style>',
+      '/src/user.card.morph',
+      {}
+    );
+    const cssOnly = await processMorphFile(
+      '<style>:root { --text: black; }</style>',
+      '/src/base.morph',
+      {}
+    );
+
+    expect(component.code).toContain(
+      '  const styleId = "morph-css-user-card";'
+    );
+    expect(cssOnly.code).toContain('  const styleId = "morph-css-base";');
+  });
+
+  it('should expose the component name and CSS on generated render functions', async () => {
+    const result = await processMorphFile(
+      '<div class="card">{{ title }}</div>\n<style>.card { color: red; }</style>',
+      '/src/Card.morph',
+      {}
+    );
+
+    expect(result.code).toContain('renderFunction.componentName = "Card";');
+    expect(result.code).toContain('renderFunction.css = css;');
+  });
+
+  it('should reject missing targets and non-component values', () => {
+    expect(() => renderComponent('#missing', createCard())).toThrow(
+      /no element matches "#missing"/
+    );
+    expect(() => renderComponent('#app', '<div></div>')).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { processMorphFile } from '../../src/core/processor.js';
+import { processScriptContent } from '../../src/core/script.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+describe('Script Block as Module Code', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should emit the script body verbatim so helpers keep their scope', async () => {
+    const content = `<div>{{ price : formatPrice }}</div>
+<script>
+const CURRENCY = 'EUR';
+const round = (value) => Math.round(value * 100) / 100;
+
+function formatPrice({ data }) {
+  return round(data) + ' ' + CURRENCY;
+}
+</script>`;
+
+    const result = await processMorphFile(content, 'Price.morph', {});
+
+    expect(result.errors).toBeUndefined();
+    expect(result.code).toContain("const CURRENCY = 'EUR';");
+    expect(result.code).toContain(
+      'const round = (value) => Math.round(value * 100) / 100;'
+    );
+    expect(result.code).toContain(
+      'template.helpers.formatPrice = (props = {}, ...args) => (formatPrice)({ ...props, styles }, ...args);'
+    );
+    // Helpers are not evaluated or re-serialized
+    expect(result.code).not.toContain('try {');
+  });
+
+  it('should declare the script body before the helpers reference it', async () => {
+    const content = `<div>{{ name : shout }}</div>
+<script>
+function shout({ data }) { return data.toUpperCase(); }
+</script>`;
+
+    const result = await processMorphFile(content, 'Shout.morph', {});
+
+    const bodyIndex = result.code.indexOf('function shout(');
+    const helperIndex = result.code.indexOf('template.helpers.shout');
+    expect(bodyIndex).toBeGreaterThan(-1);
+    expect(helperIndex).toBeGreaterThan(bodyIndex);
+  });
+
+  it('should report script syntax errors with their location', async () => {
+    const content = `<div>{{ name }}</div>
+<script>
+function broken( {
+</script>`;
+
+    const result = await processMorphFile(content, 'Broken.morph', {});
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].code).toBe('SCRIPT_ERROR');
+    expect(result.errors[0].location.file).toBe('Broken.morph');
+  });
+
+  it('should reject exports with their location', async () => {
+    const content = `<div>{{ name }}</div>
+<script>
+const a = 1;
+export const b = a;
+</script>`;
+
+    const result = await processMorphFile(content, 'Exported.morph', {});
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].code).toBe('SCRIPT_ERROR');
+    expect(result.errors[0].message).toContain(
+      'Script cannot export declarations'
+    );
+    expect(result.errors[0].location).toMatchObject({
+      file: 'Exported.morph',
+      line: 4,
+      column: 1,
+    });
+  });
+
+  it('should declare css before the script body reads it', async () => {
+    const content = `<div class="card">{{ name }}</div>
+<script>
+const hasColor = css.includes('color');
+</script>
+<style>.card { color: red; }</style>`;
+
+    const result = await processMorphFile(content, 'Card.morph', {});
+
+    expect(result.errors).toBeUndefined();
+    const cssIndex = result.code.indexOf('const css = ');
+    expect(cssIndex).toBeGreaterThan(-1);
+    expect(cssIndex).toBeLessThan(result.code.indexOf('const hasColor'));
+  });
+
+  it('should reject top-level names used by the generated module', () => {
+    expect(() => processScriptContent('const styles = {};')).toThrow(
+      /reserved name/
+    );
+  });
+
+  it('should record helper function source instead of evaluating it', () => {
+    const result = processScriptContent(
+      'const LIMIT = 3;\nconst take = ({ data }) => data.slice(0, LIMIT);'
+    );
+
+    expect(result.functions.take).toBe('({ data }) => data.slice(0, LIMIT)');
+    expect(result.body).toContain('const LIMIT = 3;');
+  });
+
+  it('should hoist script imports to the top of the generated module', async () => {
+    const content = `<div>{{ date : formatDate }}</div>
+<script>
+import { format } from 'date-fns';
+import { currency } from '../utils/format.js';
+import Badge from './Badge.morph';
+
+function formatDate({ data }) {
+  return format(data, 'yyyy-MM-dd') + currency + Badge;
+}
+</script>`;
+
+    const result = await processMorphFile(content, 'Dated.morph', {});
+
+    expect(result.errors).toBeUndefined();
+    const importIndex = result.code.indexOf(
+      "import { format } from 'date-fns';"
+    );
+    expect(importIndex).toBeGreaterThan(-1);
+    expect(importIndex).toBeLessThan(result.code.indexOf('const template'));
+    expect(result.code).toContain(
+      "import { currency } from '../utils/format.js';"
+    );
+    expect(result.code).toContain("import Badge from './Badge.morph';");
+    // Imports appear once, not again inside the script body
+    expect(result.code.split("from 'date-fns'")).toHaveLength(2);
+    expect(result.metadata.dependencies).toEqual([
+      'date-fns',
+      '../utils/format.js',
+      './Badge.morph',
+    ]);
+  });
+
+  it('should keep script line numbers when imports are hoisted', () => {
+    const result = processScriptContent(
+      "import a from 'a';\nimport {\n  b,\n} from 'b';\nconst c = a + b;"
+    );
+
+    expect(result.imports.map((entry) => entry.source)).toEqual(['a', 'b']);
+    expect(result.body.split('\n')[4]).toBe('const c = a + b;');
+  });
+
+  it('should reject imports that shadow names of the generated module', () => {
+    expect(() =>
+      processScriptContent("import morph from '@peter.naydenov/morph';")
+    ).toThrow(/reserved name/);
+  });
+});
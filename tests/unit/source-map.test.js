@@ -0,0 +1,143 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { processMorphFile } from '../../src/core/processor.js';
+import {
+  createSourceMap,
+  offsetToPosition,
+} from '../../src/utils/source-map.js';
+import { clearCache } from '../../src/utils/cache.js';
+import { loadConfig, getEnvConfig } from '../../src/plugin/config.js';
+
+const BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode source map mappings into generated line -> original line (1-based)
+ */
+function decodeLines(mappings) {
+  const result = {};
+  let originalLine = 0;
+
+  mappings.split(';').forEach((line, index) => {
+    for (const segment of line.split(',').filter(Boolean)) {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      originalLine += values[2];
+      result[index + 1] ??= originalLine + 1;
+    }
+  });
+
+  return result;
+}
+
+function generatedLineOf(code, text) {
+  return offsetToPosition(code, code.indexOf(text)).line;
+}
+
+describe('Source Maps', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should encode mappings as Source Map v3', () => {
+    const map = createSourceMap({
+      source: 'Card.morph',
+      sourceContent: '<div></div>',
+      mappings: [
+        { generated: { line: 1, column: 0 }, original: { line: 1, column: 0 } },
+        { generated: { line: 3, column: 2 }, original: { line: 5, column: 4 } },
+      ],
+    });
+
+    expect(map.version).toBe(3);
+    expect(map.sources).toEqual(['Card.morph']);
+    expect(map.sourcesContent).toEqual(['<div></div>']);
+    expect(map.mappings).toBe('AAAA;;EAII');
+  });
+
+  it('should map script, template and handshake back to the morph file', async () => {
+    const content = `<div class="card">
+  {{ date : formatDate }}
+</div>
+<script>
+import { format } from 'date-fns';
+
+function formatDate({ data }) {
+  return format(data, 'yyyy');
+}
+</script>
+<script type="application/json">
+{ "date": 1 }
+</script>
+<style>.card { color: red; }</style>`;
+
+    const result = await processMorphFile(content, 'Card.morph', {});
+    const lines = decodeLines(result.map.mappings);
+    const { code } = result;
+
+    expect(result.map.sources).toEqual(['Card.morph']);
+    expect(lines[generatedLineOf(code, 'import { format }')]).toBe(5);
+    expect(lines[generatedLineOf(code, 'function formatDate(')]).toBe(7);
+    expect(lines[generatedLineOf(code, "return format(data, 'yyyy');")]).toBe(
+      8
+    );
+    expect(lines[generatedLineOf(code, 'template.helpers.formatDate')]).toBe(7);
+    expect(lines[generatedLineOf(code, '"template": ')]).toBe(1);
+    expect(lines[generatedLineOf(code, 'export const handshake')]).toBe(12);
+  });
+
+  it('should skip the source map when disabled', async () => {
+    const result = await processMorphFile(
+      '<div>{{ name }}</div>',
+      'Off.morph',
+      {
+        development: { sourceMaps: false },
+      }
+    );
+
+    expect(result.map).toBeNull();
+  });
+
+  it('should follow development.sourceMaps of the resolved config', async () => {
+    const config = loadConfig();
+    expect(config.development.sourceMaps).toBe(true);
+
+    const production = getEnvConfig(loadConfig(), 'production');
+    expect(production.development.sourceMaps).toBe(false);
+
+    const result = await processMorphFile(
+      '<div>{{ name }}</div>',
+      'Production.morph',
+      production
+    );
+    expect(result.map).toBeNull();
+  });
+
+  it('should report script errors at their line in the morph file', async () => {
+    const content = `<div>{{ name }}</div>
+
+<script>
+const ok = 1;
+function broken( {
+</script>`;
+
+    const result = await processMorphFile(content, 'Broken.morph', {});
+
+    expect(result.errors[0].location.line).toBe(6);
+  });
+});
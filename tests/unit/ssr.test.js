@@ -0,0 +1,199 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { processMorphFile } from '../../src/core/processor.js';
+import { renderToString } from '../../src/server/render.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+const cardContent = `<div class="card">{{ title }}</div>
+<style>.card { color: var(--text); }</style>`;
+
+/**
+ * Render function shaped like the SSR build of a component with CSS
+ * @param {string} componentName - Component name
+ * @param {string} css - Scoped CSS
+ * @param {Function} body - Render body
+ * @returns {Function} Render function
+ */
+function ssrComponent(componentName, css, body) {
+  return (...args) => {
+    globalThis.__MORPH_SSR_STYLES__?.set(componentName, css);
+    return body(...args);
+  };
+}
+
+describe('Server-Side Rendering', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should generate modules without DOM access for SSR transforms', async () => {
+    const result = await processMorphFile(cardContent, '/src/Card.morph', {
+      ssr: true,
+      cssVarsFile: 'src/vars.css',
+      rootDir: '/',
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.code).not.toContain('document');
+    expect(result.code).not.toContain('import.meta.hot');
+    expect(result.code).not.toContain("import './vars.css';");
+    expect(result.code).toContain(
+      '  globalThis.__MORPH_SSR_STYLES__?.set("Card", css);'
+    );
+    expect(result.code).toContain('export { css };');
+  });
+
+  it('should keep CSS injection for client transforms', async () => {
+    const result = await processMorphFile(cardContent, '/src/Card.morph', {});
+
+    expect(result.code).toContain(
+      "if (typeof document !== 'undefined' && css) {"
+    );
+    expect(result.code).not.toContain('__MORPH_SSR_STYLES__');
+  });
+
+  it('should register CSS-only files for SSR instead of injecting them', async () => {
+    const result = await processMorphFile(
+      '<style>:root { --text: black; }</style>',
+      '/src/base.morph',
+      { ssr: true }
+    );
+
+    expect(result.code).toContain('export const styles = css;');
+    expect(result.code).toContain(
+      '(globalThis.__MORPH_SSR_GLOBAL_STYLES__ ||= new Map()).set("base", css);'
+    );
+    expect(result.code).not.toContain('document');
+  });
+
+  it('should return the HTML with the CSS of every rendered component', () => {
+    const badge = ssrComponent('Badge', '.badge_x1 { color: red; }', () => {
+      return '<span class="badge_x1"></span>';
+    });
+    const card = ssrComponent(
+      'Card',
+      '.card_x2 { padding: 0; }',
+      (command, data) =>
+        `<div class="card_x2">${data.title}${badge('render')}</div>`
+    );
+
+    const result = renderToString(card, { title: 'Hi' });
+
+    expect(result.html).toBe(
+      '<div class="card_x2">Hi<span class="badge_x1"></span></div>'
+    );
+    expect(result.css).toEqual({
+      Card: '.card_x2 { padding: 0; }',
+      Badge: '.badge_x1 { color: red; }',
+    });
+    expect(result.head).toContain(
+      '<style id="morph-css-Badge">.badge_x1 { color: red; }</style>'
+    );
+    expect(globalThis.__MORPH_SSR_STYLES__).toBeUndefined();
+  });
+
+  it('should inline the active theme variables in the theme layer', () => {
+    const card = ssrComponent(
+      'Card',
+      '.card { color: red; }',
+      () => '<div></div>'
+    );
+
+    const result = renderToString(
+      card,
+      {},
+      {
+        theme: { name: 'dark', variables: { '--text': 'white' } },
+        layers: { enabled: true, order: ['global', 'components', 'themes'] },
+      }
+    );
+
+    expect(result.themeCss).toBe(
+      '@layer themes {\n:root { --text: white; }\n}'
+    );
+    expect(result.head.split('\n')[0]).toBe(
+      '<style id="morph-layer-order">@layer global, components, themes;</style>'
+    );
+    expect(result.head).toContain('<style id="morph-theme-host">');
+  });
+
+  it('should not let CSS close the inlined style element', () => {
+    const card = ssrComponent(
+      'Card',
+      '.a::after { content: "</style>"; }',
+      () => ''
+    );
+
+    expect(renderToString(card).head).toContain('"<\\/style>"');
+  });
+
+  describe('transformed modules', () => {
+    let outDir;
+
+    /**
+     * Write the SSR build of a .morph file and import it
+     * The directory is inside the project, so the morph import resolves.
+     * @param {string} content - .morph source
+     * @param {string} fileName - File name
+     * @returns {Promise<Object>} Module namespace
+     */
+    async function importMorph(content, fileName) {
+      const result = await processMorphFile(
+        content,
+        path.join(outDir, fileName),
+        { ssr: true, test: true }
+      );
+      const file = path.join(outDir, `${fileName}.mjs`);
+      fs.writeFileSync(file, result.code);
+      return import(pathToFileURL(file).href);
+    }
+
+    beforeEach(() => {
+      outDir = fs.mkdtempSync(
+        path.join(process.cwd(), 'node_modules', '.morph-ssr-')
+      );
+    });
+
+    afterEach(() => {
+      delete globalThis.__MORPH_SSR_GLOBAL_STYLES__;
+      fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it('should inline the global CSS of imported CSS-only files', async () => {
+      await importMorph(
+        '<style>:root { --text: black; }</style>',
+        'base.morph'
+      );
+
+      const result = renderToString(() => '<main></main>');
+
+      expect(result.globalCss).toEqual({ base: ':root { --text: black; }' });
+      expect(result.head).toBe(
+        '<style id="morph-css-base">:root { --text: black; }</style>'
+      );
+    });
+
+    it('should render a component with its scoped and the global CSS', async () => {
+      await importMorph(
+        '<style>:root { --text: black; }</style>',
+        'base.morph'
+      );
+      const card = await importMorph(cardContent, 'Card.morph');
+
+      const result = renderToString(card.default, { title: 'Hi' });
+
+      expect(result.html).toContain('Hi');
+      expect(result.css).toEqual({ Card: card.css });
+      expect(result.head.split('\n')).toEqual([
+        '<style id="morph-css-base">:root { --text: black; }</style>',
+        `<style id="morph-css-Card">${card.css}</style>`,
+      ]);
+    });
+  });
+});
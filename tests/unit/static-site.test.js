@@ -0,0 +1,167 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStaticSiteGenerator } from '../../src/services/static-site-generator.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+/**
+ * Module namespace shaped like the SSR build of a page
+ * @param {Object} handshake - Handshake data
+ * @returns {Object} Page module
+ */
+function pageModule(handshake) {
+  return {
+    default: (command, data) => {
+      globalThis.__MORPH_SSR_STYLES__?.set('Page', '.page_x1 { margin: 0; }');
+      return `<main class="page_x1">${data.heading}</main>`;
+    },
+    handshake,
+  };
+}
+
+/**
+ * Create a generator whose entries resolve to prepared modules
+ * @param {Object} options - Generator options
+ * @param {Object<string,Object>} modules - Module per entry file name
+ * @returns {import('../../src/services/static-site-generator.js').StaticSiteGenerator}
+ */
+function createGenerator(options, modules) {
+  const generator = createStaticSiteGenerator({ root: '/project', ...options });
+  generator.loadEntry = async (entryPath) => modules[entryPath];
+  return generator;
+}
+
+describe('Static Site Generation', () => {
+  it('should render entries with their handshake data and inline CSS', async () => {
+    const generator = createGenerator(
+      {
+        entries: ['src/pages/index.morph'],
+        theme: { variables: { '--text': '#222' } },
+        globalCss: 'body { margin: 0; }',
+      },
+      {
+        '/project/src/pages/index.morph': pageModule({
+          title: 'Home & more',
+          heading: 'Welcome',
+        }),
+      }
+    );
+
+    const [page] = await generator.generate();
+
+    expect(page.fileName).toBe('index.html');
+    expect(page.cssFileName).toBeNull();
+    expect(page.html).toContain('<title>Home &amp; more</title>');
+    expect(page.html).toContain('<main class="page_x1">Welcome</main>');
+    expect(page.css).toBe(
+      'body { margin: 0; }\n\n:root { --text: #222; }\n\n.page_x1 { margin: 0; }'
+    );
+    expect(page.html).toContain(`<style>\n${page.css}\n</style>`);
+  });
+
+  it('should link an emitted stylesheet in link mode', async () => {
+    const generator = createGenerator(
+      {
+        entries: ['src/pages/about.morph'],
+        css: 'link',
+        base: '/site/',
+        layers: { enabled: true, order: ['global', 'components', 'themes'] },
+      },
+      { '/project/src/pages/about.morph': pageModule({ heading: 'About' }) }
+    );
+
+    const [page] = await generator.generate();
+
+    expect(page.cssFileName).toBe('assets/about.css');
+    expect(page.html).toContain(
+      '<link rel="stylesheet" href="/site/assets/about.css">'
+    );
+    expect(page.html).not.toContain('<style>');
+    expect(page.html).toContain('<title>about</title>');
+    expect(page.css.startsWith('@layer global, components, themes;')).toBe(
+      true
+    );
+  });
+
+  it('should reject entries that produce the same file name', async () => {
+    const generator = createGenerator(
+      { entries: ['a/index.morph', 'b/index.morph'] },
+      {
+        '/project/a/index.morph': pageModule({ heading: 'A' }),
+        '/project/b/index.morph': pageModule({ heading: 'B' }),
+      }
+    );
+
+    await expect(generator.generate()).rejects.toThrow(
+      /"index\.html" is generated twice/
+    );
+  });
+
+  it('should validate the ssg configuration', () => {
+    expect(() =>
+      validateConfig(loadConfig({ ssg: { entries: ['index.html'] } }))
+    ).toThrow(/ssg\.entries must be an array of \.morph file paths/);
+    expect(() =>
+      validateConfig(
+        loadConfig({ ssg: { entries: ['index.morph'], css: 'external' } })
+      )
+    ).toThrow(/ssg\.css must be 'inline' or 'link'/);
+  });
+
+  it('should load entries with the project config file', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-ssg-'));
+    try {
+      const configFile = path.join(root, 'vite.config.mjs');
+      fs.writeFileSync(
+        configFile,
+        `export default {
+  resolve: { alias: { '@': '/project/src' } },
+  css: { preprocessorOptions: { scss: { additionalData: '$a: 1;' } } },
+};`
+      );
+      const generator = createStaticSiteGenerator({
+        root,
+        viteConfig: { configFile, mode: 'production' },
+      });
+
+      const config = await generator.getEntryConfig();
+
+      expect(config.root).toBe(root);
+      expect(config.mode).toBe('production');
+      expect(config.resolve.alias).toEqual({ '@': '/project/src' });
+      expect(config.css.preprocessorOptions.scss.additionalData).toBe('$a: 1;');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should reuse the resolved settings without a config file', async () => {
+    const plugin = { name: 'entry-plugin' };
+    const alias = [{ find: '@', replacement: '/project/src' }];
+    const generator = createStaticSiteGenerator({
+      root: '/project',
+      viteConfig: {
+        configFile: undefined,
+        mode: 'staging',
+        resolve: { alias },
+        css: { preprocessorOptions: { scss: { additionalData: '$a: 1;' } } },
+      },
+      plugins: [plugin],
+    });
+
+    const config = await generator.getEntryConfig();
+
+    expect(config).toMatchObject({
+      root: '/project',
+      mode: 'staging',
+      resolve: { alias },
+      css: { preprocessorOptions: { scss: { additionalData: '$a: 1;' } } },
+      plugins: [plugin],
+    });
+  });
+});
@@ -54,11 +54,14 @@ describe('String Helper Integration Verification', () => {
     const result = await processMorphFile(mixedContent, 'mixed.morph', {});
 
     // Should have both function and string helpers
-    expect(result.templateObject.helpers.formatName).toBeInstanceOf(Function);
+    expect(result.templateObject.helpers.formatName).toBeUndefined();
     expect(result.templateObject.helpers.listItem).toBe('<li>{{item}}</li>');
 
     // Generated code should handle both types
-    expect(result.code).toContain('try { function formatName(name) {');
+    expect(result.code).toContain('function formatName(name) {');
+    expect(result.code).toContain(
+      'template.helpers.formatName = (props = {}, ...args) => (formatName)({ ...props, styles }, ...args);'
+    );
     expect(result.code).toContain(
       'template.helpers.listItem = "<li>{{item}}</li>";'
     );
@@ -0,0 +1,182 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { tmpdir } from 'os';
+import { preprocessStyleBlocks } from '../../src/core/style-preprocessor.js';
+import { processMorphFile } from '../../src/core/processor.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+vi.mock('vite', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    preprocessCSS: vi.fn(async (code, filename) => {
+      if (code.includes('@error')) {
+        throw new Error('Undefined variable.');
+      }
+      // Stand-in for Sass: resolve `$name: value;` declarations
+      const variables = {};
+      const css = code
+        .replace(/\$([\w-]+):\s*([^;]+);/g, (match, name, value) => {
+          variables[name] = value;
+          return '';
+        })
+        .replace(/\$([\w-]+)/g, (match, name) => variables[name])
+        .trim();
+      const deps = new Set();
+      if (code.includes("@use 'tokens'")) {
+        deps.add(filename.replace(/[^/]+$/, '_tokens.scss'));
+      }
+      return { code: css, deps };
+    }),
+  };
+});
+
+const viteConfig = { root: '/project' };
+
+describe('Style Preprocessing', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should leave plain CSS blocks untouched', async () => {
+    const blocks = [
+      { css: '.a { color: red; }', kind: 'scoped', module: null, attrs: {} },
+      {
+        css: '.b { color: blue; }',
+        kind: 'global',
+        module: null,
+        attrs: { global: '', lang: 'css' },
+      },
+    ];
+
+    const result = await preprocessStyleBlocks(blocks, '/src/Card.morph', {
+      viteConfig,
+    });
+
+    expect(result.blocks).toEqual(blocks);
+    expect(result.watchFiles).toEqual([]);
+  });
+
+  it('should compile lang blocks through the Vite preprocessor pipeline', async () => {
+    const { preprocessCSS } = await import('vite');
+    const blocks = [
+      {
+        css: "@use 'tokens';\n$brand: red;\n.a { color: $brand; }",
+        kind: 'scoped',
+        module: null,
+        attrs: { lang: 'scss' },
+      },
+    ];
+
+    const result = await preprocessStyleBlocks(blocks, '/src/Card.morph', {
+      viteConfig,
+    });
+
+    expect(preprocessCSS).toHaveBeenCalledWith(
+      blocks[0].css,
+      '/src/Card.morph.scss',
+      viteConfig
+    );
+    expect(result.blocks[0].css).toContain('.a { color: red; }');
+    expect(result.blocks[0].kind).toBe('scoped');
+    expect(result.watchFiles).toEqual(['/src/_tokens.scss']);
+  });
+
+  it('should use the styl extension for stylus blocks', async () => {
+    const { preprocessCSS } = await import('vite');
+
+    await preprocessStyleBlocks(
+      [{ css: '.a\n  color red', kind: 'scoped', attrs: { lang: 'stylus' } }],
+      '/src/Card.morph',
+      { viteConfig }
+    );
+
+    expect(preprocessCSS).toHaveBeenLastCalledWith(
+      expect.any(String),
+      '/src/Card.morph.styl',
+      viteConfig
+    );
+  });
+
+  it('should reject unsupported style languages', async () => {
+    await expect(
+      preprocessStyleBlocks(
+        [{ css: '', kind: 'scoped', attrs: { lang: 'postcss-foo' } }],
+        '/src/Card.morph',
+        { viteConfig }
+      )
+    ).rejects.toThrow(/Unsupported style language/);
+  });
+
+  it('should report preprocessor errors as CSS processing errors', async () => {
+    const result = await processMorphFile(
+      '<div class="a"></div><style lang="scss">@error "boom";</style>',
+      '/src/Broken.morph',
+      { viteConfig }
+    );
+
+    expect(result.errors[0].code).toBe('CSS_PROCESSING_ERROR');
+    expect(result.errors[0].message).toContain('<style lang="scss">');
+  });
+
+  it('should scope compiled CSS and expose watch files', async () => {
+    const content = `<div class="card"></div>
+<style lang="scss">
+@use 'tokens';
+$pad: 1rem;
+.card { padding: $pad; }
+</style>`;
+
+    const result = await processMorphFile(content, '/src/Card.morph', {
+      viteConfig,
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.templateObject.template).toContain('Card_card_');
+    expect(result.code).toMatch(/\.Card_card_[a-z0-9]+ \{ padding: 1rem; \}/);
+    expect(result.metadata.watchFiles).toEqual(['/src/_tokens.scss']);
+  });
+
+  it('should not run the host PostCSS plugins on compiled blocks again', async () => {
+    const seen = [];
+    const recorder = () => ({
+      postcssPlugin: 'test-recorder',
+      Once(root) {
+        seen.push(root.toString());
+      },
+    });
+    recorder.postcss = true;
+    const content = `<div class="a b"></div>
+<style lang="scss">$pad: 1rem;
+.a { padding: $pad; }</style>
+<style>.b { color: red; }</style>`;
+
+    const result = await processMorphFile(content, '/src/Card.morph', {
+      viteConfig,
+      postcssPlugins: [recorder()],
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(seen).toEqual(['.b { color: red; }']);
+  });
+
+  it('should resolve a fallback config for each root', async () => {
+    const { preprocessCSS } = await import('vite');
+    const block = { css: '.a { color: red; }', attrs: { lang: 'scss' } };
+
+    await preprocessStyleBlocks([block], '/src/A.morph', {
+      rootDir: process.cwd(),
+    });
+    const first = preprocessCSS.mock.lastCall[2];
+    await preprocessStyleBlocks([block], '/src/B.morph', {
+      rootDir: tmpdir(),
+    });
+    const second = preprocessCSS.mock.lastCall[2];
+
+    expect(first.root).toBe(process.cwd());
+    expect(second.root).toBe(tmpdir());
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  checkThemeContract,
+  createThemeContractError,
+} from '../../src/services/theme-contract.js';
+import { extractThemeVariables } from '../../src/services/theme-variables.js';
+import { createMorphPlugin } from '../../src/plugin/index.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+const light = `:root {
+  --color-bg: #fff;
+  --color-text: #222;
+  --color-accent: blue;
+}`;
+const dark = `:root {
+  --color-bg: #111;
+  --color-text: #eee;
+  --shadow: none;
+}`;
+
+/**
+ * Theme source shaped like the output of `extractThemesFromDir`
+ * @param {Object<string,string>} files - CSS per theme name
+ * @returns {{name: string, directory: string, themes: Object}} Theme source
+ */
+function source(files) {
+  const themes = {};
+  for (const [name, css] of Object.entries(files)) {
+    themes[name] = extractThemeVariables(css);
+  }
+  return { name: 'host', directory: '/project/src/themes', themes };
+}
+
+describe('Theme Contract', () => {
+  it('should report missing and extra variables against the reference theme', () => {
+    const warnings = checkThemeContract(source({ light, dark }), {
+      reference: 'light',
+    });
+
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatchObject({
+      name: 'MorphPluginWarning',
+      code: 'THEME_CONTRACT_ERROR',
+      message: "Theme 'dark' (host) is missing --color-accent",
+      filePath: '/project/src/themes/dark.css',
+      location: { line: 1, column: 1 },
+      theme: 'dark',
+      variable: '--color-accent',
+      kind: 'missing',
+    });
+    expect(warnings[1]).toMatchObject({
+      message:
+        "Theme 'dark' (host) defines --shadow, which theme 'light' does not",
+      location: { file: '/project/src/themes/dark.css', line: 4, column: 3 },
+      kind: 'extra',
+    });
+  });
+
+  it('should compare every theme with a declared contract', () => {
+    const warnings = checkThemeContract(source({ light, dark }), {
+      reference: 'light',
+      variables: ['--color-bg', '--color-text'],
+    });
+
+    expect(
+      warnings.map(
+        ({ theme, variable, kind }) => `${theme} ${kind} ${variable}`
+      )
+    ).toEqual(['light extra --color-accent', 'dark extra --shadow']);
+  });
+
+  it('should only report missing variables without a reference', () => {
+    const warnings = checkThemeContract(source({ light, dark }), {
+      reference: 'default',
+    });
+
+    expect(
+      warnings.map(
+        ({ theme, variable, kind }) => `${theme} ${kind} ${variable}`
+      )
+    ).toEqual(['light missing --shadow', 'dark missing --color-accent']);
+  });
+
+  it('should summarize violations in one error', () => {
+    const warnings = checkThemeContract(source({ light, dark }), {
+      reference: 'light',
+    });
+    const error = createThemeContractError(warnings);
+
+    expect(error.name).toBe('MorphPluginError');
+    expect(error.code).toBe('THEME_CONTRACT_ERROR');
+    expect(error.location.file).toBe('/project/src/themes/dark.css');
+    expect(error.message).toContain(
+      "/project/src/themes/dark.css:4 Theme 'dark' (host) defines --shadow"
+    );
+  });
+
+  it('should validate theme contract options', () => {
+    expect(() =>
+      validateConfig(loadConfig({ themeContract: { variables: ['color'] } }))
+    ).toThrow(/themeContract\.variables must be an array of --variables/);
+    expect(() =>
+      validateConfig(loadConfig({ themeContract: { failOnMismatch: 'yes' } }))
+    ).toThrow(/themeContract\.failOnMismatch must be a boolean/);
+  });
+
+  describe('plugin', () => {
+    let root;
+
+    /**
+     * Run buildStart of a plugin for the temporary project
+     * @param {Object} options - Plugin options
+     * @param {string} command - Vite command
+     * @returns {Promise<string[]>} Warnings passed to the plugin context
+     */
+    async function buildStart(options, command) {
+      const plugin = createMorphPlugin({
+        localThemes: { directory: 'themes' },
+        themes: { defaultTheme: 'light' },
+        ...options,
+      });
+      plugin.configResolved({ root, command });
+      const warnings = [];
+      await plugin.buildStart.call({
+        warn: (message) => warnings.push(message),
+      });
+      return warnings;
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-contract-'));
+      fs.mkdirSync(path.join(root, 'themes'));
+      fs.writeFileSync(path.join(root, 'themes', 'light.css'), light);
+      fs.writeFileSync(path.join(root, 'themes', 'dark.css'), dark);
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should warn about local themes', async () => {
+      const warnings = await buildStart({}, 'serve');
+
+      expect(warnings).toEqual([
+        `Theme 'dark' (host) is missing --color-accent (${path.join(root, 'themes', 'dark.css')}:1)`,
+        `Theme 'dark' (host) defines --shadow, which theme 'light' does not (${path.join(root, 'themes', 'dark.css')}:4)`,
+      ]);
+    });
+
+    it('should check inherited themes and report their real files', async () => {
+      fs.writeFileSync(
+        path.join(root, 'themes', 'contrast.css'),
+        '/* @extends light */\n:root { --color-text: #000; }'
+      );
+      fs.writeFileSync(
+        path.join(root, 'themes', 'brand.tokens.json'),
+        JSON.stringify({ color: { bg: { $type: 'color', $value: '#f00' } } })
+      );
+
+      const warnings = await buildStart({}, 'serve');
+      const tokensFile = path.join(root, 'themes', 'brand.tokens.json');
+
+      expect(
+        warnings.filter((warning) => !warning.startsWith("Theme 'dark'"))
+      ).toEqual([
+        `Theme 'brand' (host) is missing --color-text (${tokensFile}:1)`,
+        `Theme 'brand' (host) is missing --color-accent (${tokensFile}:1)`,
+      ]);
+    });
+
+    it('should fail builds with failOnMismatch', async () => {
+      await expect(
+        buildStart({ themeContract: { failOnMismatch: true } }, 'build')
+      ).rejects.toMatchObject({ code: 'THEME_CONTRACT_ERROR' });
+    });
+  });
+});
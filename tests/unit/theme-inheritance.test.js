@@ -0,0 +1,154 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createThemeDiscovery } from '../../src/services/theme-discovery.js';
+import { extractThemesFromDir } from '../../src/services/theme-variables.js';
+import { createMorphPlugin } from '../../src/plugin/index.js';
+
+describe('Theme Inheritance', () => {
+  let directory;
+
+  /**
+   * Write theme files into the temporary themes directory
+   * @param {Object<string,string>} files - Content per file name
+   * @returns {import('../../src/services/theme-discovery.js').ThemeDiscovery}
+   */
+  function themesFrom(files) {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), content);
+    }
+    return createThemeDiscovery({ directories: [directory] });
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should resolve CSS and JSON parents into the full variable set', async () => {
+    const discovery = themesFrom({
+      'light.css': ':root { --bg: #fff; --text: #222; --accent: blue; }',
+      'dark.css': `/* @extends light */
+:root { --bg: #111; --text: #eee; }`,
+      'dark-contrast.json': JSON.stringify({
+        name: 'dark-contrast',
+        extends: 'dark',
+        variables: { '--text': '#fff' },
+      }),
+    });
+
+    const themes = await discovery.discoverThemes();
+
+    expect(themes.get('dark').variables).toEqual({
+      '--bg': '#111',
+      '--text': '#eee',
+      '--accent': 'blue',
+    });
+    expect(themes.get('dark-contrast').variables).toEqual({
+      '--bg': '#111',
+      '--text': '#fff',
+      '--accent': 'blue',
+    });
+    expect(themes.get('dark-contrast').metadata).toEqual({
+      extends: 'dark',
+      chain: ['dark-contrast', 'dark', 'light'],
+    });
+    expect(themes.get('light').metadata).toEqual({
+      extends: null,
+      chain: ['light'],
+    });
+  });
+
+  it('should resolve CSS parents for themesControl and library themes', async () => {
+    themesFrom({
+      'light.css': ':root { --bg: #fff; --text: #222; }',
+      'dark.css': '/* @extends light */\n:root { --bg: #111; }',
+    });
+
+    const themes = await extractThemesFromDir(directory);
+
+    expect(themes.dark).toEqual({
+      variables: { '--bg': '#111', '--text': '#222' },
+      raw: '/* @extends light */\n:root { --bg: #111; }',
+    });
+  });
+
+  it('should merge component styles per component', async () => {
+    const discovery = themesFrom({
+      'base.json': JSON.stringify({
+        name: 'base',
+        components: { Button: { radius: '4px', color: 'blue' } },
+      }),
+      'brand.json': JSON.stringify({
+        name: 'brand',
+        extends: 'base',
+        components: { Button: { color: 'red' }, Card: { shadow: 'none' } },
+      }),
+    });
+
+    const themes = await discovery.discoverThemes();
+
+    expect(themes.get('brand').components).toEqual({
+      Button: { radius: '4px', color: 'red' },
+      Card: { shadow: 'none' },
+    });
+    // Parents are not changed by their children
+    expect(themes.get('base').components).toEqual({
+      Button: { radius: '4px', color: 'blue' },
+    });
+  });
+
+  it('should report circular inheritance with the chain', async () => {
+    const discovery = themesFrom({
+      'a.css': '/* @extends c */ :root { --x: 1; }',
+      'b.css': '/* @extends a */ :root { --x: 2; }',
+      'c.css': '/* @extends b */ :root { --x: 3; }',
+    });
+
+    await expect(discovery.discoverThemes()).rejects.toMatchObject({
+      name: 'MorphPluginError',
+      code: 'CONFIG_ERROR',
+      message: 'Circular theme inheritance: a -> c -> b -> a',
+      filePath: path.join(directory, 'a.css'),
+    });
+  });
+
+  it('should report unknown parents', async () => {
+    const discovery = themesFrom({
+      'dark.css': '/* @extends missing */ :root { --bg: #000; }',
+    });
+
+    await expect(discovery.discoverThemes()).rejects.toThrow(
+      "Theme 'dark' extends unknown theme 'missing'"
+    );
+  });
+
+  it('should fail the build with the theme file of broken inheritance', async () => {
+    themesFrom({
+      'dark.css': '/* @extends missing */ :root { --bg: #000; }',
+    });
+    const plugin = createMorphPlugin({
+      localThemes: { directory: path.basename(directory) },
+    });
+    plugin.configResolved({ root: path.dirname(directory), command: 'build' });
+    const context = {
+      warn: () => {},
+      error: (error) => {
+        throw Object.assign(new Error(error.message), error);
+      },
+    };
+
+    await expect(plugin.buildStart.call(context)).rejects.toMatchObject({
+      message: "Theme 'dark' extends unknown theme 'missing'",
+      id: path.join(directory, 'dark.css'),
+    });
+  });
+});
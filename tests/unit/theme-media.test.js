@@ -0,0 +1,143 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+/**
+ * Media query list whose state the test controls
+ */
+class FakeMediaQueryList {
+  constructor(query) {
+    this.media = query;
+    this.listeners = new Set();
+  }
+  get matches() {
+    return preferences.has(this.media);
+  }
+  addEventListener(type, listener) {
+    this.listeners.add(listener);
+  }
+  removeEventListener(type, listener) {
+    this.listeners.delete(listener);
+  }
+}
+
+const preferences = new Set(); // Matching media queries
+const mediaQueries = new Map();
+const styles = new Map(); // Style element id -> element
+
+/**
+ * Change an OS preference and notify the listeners
+ * @param {string} query - Media query
+ * @param {boolean} matches - New state
+ */
+function setPreference(query, matches) {
+  if (matches) {
+    preferences.add(query);
+  } else {
+    preferences.delete(query);
+  }
+  for (const listener of mediaQueries.get(query)?.listeners || []) {
+    listener({ matches, media: query });
+  }
+}
+
+const hostTheme = () => styles.get('morph-theme-host')?.textContent;
+
+describe('Automatic Theme Selection', () => {
+  let runtime;
+
+  beforeAll(async () => {
+    globalThis.window = globalThis;
+    globalThis.matchMedia = (query) => {
+      if (!mediaQueries.has(query)) {
+        mediaQueries.set(query, new FakeMediaQueryList(query));
+      }
+      return mediaQueries.get(query);
+    };
+    globalThis.document = {
+      head: { appendChild: (node) => styles.set(node.id, node) },
+      getElementById: (id) => styles.get(id) || null,
+      createElement: () => ({ setAttribute() {} }),
+    };
+    globalThis.__MORPH_THEMES__ = {
+      host: {
+        light: { variables: { '--bg': '#fff' } },
+        dark: { variables: { '--bg': '#000' } },
+        contrast: { variables: { '--bg': '#fff', '--text': '#000' } },
+      },
+    };
+    globalThis.__MORPH_THEME_REGISTRY__ = [
+      { libraryName: 'host', themes: ['light', 'dark', 'contrast'] },
+    ];
+
+    // The runtime reads the registry when it loads
+    runtime = await import('../../src/client/runtime.js');
+    runtime.setMorphConfig({
+      environment: 'build',
+      defaultTheme: 'light',
+      themeMedia: {
+        contrast: '(prefers-contrast: more)',
+        dark: '(prefers-color-scheme: dark)',
+      },
+    });
+  });
+
+  afterAll(() => {
+    for (const name of [
+      'window',
+      'matchMedia',
+      'document',
+      '__MORPH_THEMES__',
+      '__MORPH_THEME_REGISTRY__',
+    ]) {
+      delete globalThis[name];
+    }
+  });
+
+  it('should apply the theme of a matching media condition at startup', () => {
+    setPreference('(prefers-color-scheme: dark)', true);
+    runtime.applyStyles();
+
+    expect(hostTheme()).toBe(':root { --bg: #000; }');
+    expect(runtime.themesControl.getCurrent()).toBe('dark');
+  });
+
+  it('should follow OS preference changes in listed order', () => {
+    setPreference('(prefers-contrast: more)', true);
+    expect(runtime.themesControl.getCurrent()).toBe('contrast');
+    expect(hostTheme()).toBe(':root { --bg: #fff; --text: #000; }');
+
+    setPreference('(prefers-contrast: more)', false);
+    setPreference('(prefers-color-scheme: dark)', false);
+    expect(hostTheme()).toBe(':root { --bg: #fff; }');
+    expect(runtime.themesControl.getCurrent()).toBe('light');
+  });
+
+  it('should keep an explicit theme until it is cleared', () => {
+    expect(runtime.themesControl.set('contrast')).toBe(1);
+
+    setPreference('(prefers-color-scheme: dark)', true);
+    expect(runtime.themesControl.getCurrent()).toBe('contrast');
+    expect(hostTheme()).toBe(':root { --bg: #fff; --text: #000; }');
+
+    runtime.themesControl.clear();
+    expect(runtime.themesControl.getCurrent()).toBe('dark');
+    expect(hostTheme()).toBe(':root { --bg: #000; }');
+  });
+
+  it('should validate themes.media', () => {
+    expect(() =>
+      validateConfig(loadConfig({ themes: { media: { dark: true } } }))
+    ).toThrow(/themes\.media must map theme names to media queries/);
+    expect(() =>
+      validateConfig(
+        loadConfig({
+          themes: { media: { dark: '(prefers-color-scheme: dark)' } },
+        })
+      )
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { processMorphFile } from '../../src/core/processor.js';
+import { parseMorphFile, extractScriptContent } from '../../src/core/parser.js';
+import { clearCache } from '../../src/utils/cache.js';
+
+const tsComponent = `<div>{{ total : formatTotal }} {{ label : badge }}</div>
+<script lang="ts">
+import type { Order } from './types';
+import { currency } from '../utils/format.js';
+
+const TAX: number = 0.2;
+const badge = '<span>{{text}}</span>';
+
+function formatTotal({ data }: { data: Order }): string {
+  return currency(data.amount * (1 + TAX));
+}
+</script>`;
+
+describe('TypeScript Script Blocks', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it('should extract lang="ts" and type="text/typescript" scripts separately from JavaScript', () => {
+    const document = parseMorphFile(
+      `<div></div>
+<script lang="ts">const a: number = 1;</script>
+<script type="text/typescript">const b: number = 2;</script>`
+    );
+
+    expect(extractScriptContent(document, 'text/typescript')).toBe(
+      'const a: number = 1;const b: number = 2;'
+    );
+    expect(extractScriptContent(document, 'text/javascript')).toBeNull();
+  });
+
+  it('should transpile TypeScript before extracting helpers', async () => {
+    const result = await processMorphFile(tsComponent, 'Order.morph', {});
+
+    expect(result.errors).toBeUndefined();
+    expect(result.code).toMatch(/const TAX = 0?\.2;/);
+    expect(result.code).toContain('function formatTotal({ data }) {');
+    expect(result.code).toContain(
+      'template.helpers.formatTotal = (props = {}, ...args) => (formatTotal)({ ...props, styles }, ...args);'
+    );
+    expect(result.templateObject.helpers.badge).toBe('<span>{{text}}</span>');
+  });
+
+  it('should strip type-only imports and keep value imports', async () => {
+    const result = await processMorphFile(tsComponent, 'Order.morph', {});
+
+    expect(result.code).not.toContain('./types');
+    expect(result.code).toMatch(
+      /import \{ currency \} from ["']\.\.\/utils\/format\.js["'];/
+    );
+    expect(result.metadata.dependencies).toEqual(['../utils/format.js']);
+  });
+
+  it('should report TypeScript errors at their line in the morph file', async () => {
+    const broken = tsComponent.replace('): string {', '): string');
+    const result = await processMorphFile(broken, 'Broken.morph', {});
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].code).toBe('SCRIPT_ERROR');
+    expect(result.errors[0].message).toContain('TypeScript error');
+    expect(result.errors[0].location.line).toBeGreaterThan(2);
+  });
+
+  it('should reject mixing JavaScript and TypeScript script blocks', async () => {
+    const result = await processMorphFile(
+      `${tsComponent}\n<script>const extra = 1;</script>`,
+      'Mixed.morph',
+      {}
+    );
+
+    expect(result.errors[0].code).toBe('SCRIPT_ERROR');
+    expect(result.errors[0].message).toMatch(/not both/);
+  });
+});
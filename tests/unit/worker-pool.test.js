@@ -0,0 +1,150 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { URL } from 'url';
+import { processMorphFile } from '../../src/core/processor.js';
+import { clearCache } from '../../src/utils/cache.js';
+import {
+  createWorkerPool,
+  getWorkerViteConfig,
+} from '../../src/services/worker-pool.js';
+import { validateConfig, loadConfig } from '../../src/plugin/config.js';
+
+const components = {
+  'Button.morph': `<button class="btn">{{ label }}</button>
+<style>.btn { color: var(--primary); }</style>`,
+  'Card.morph': `<div class="card">{{ title : upper }}</div>
+<script>
+function upper({ data }) {
+  return String(data).toUpperCase();
+}
+</script>
+<style>.card { padding: 1rem; }</style>`,
+  'Tokens.morph': `<style>:root { --primary: blue; }</style>`,
+  'List.morph': `<ul>{{ items : [], item }}</ul>
+<script>
+const item = \`<li>{{ name }}</li>\`;
+</script>
+<script type="application/json">{ "items": [{ "name": "One" }] }</script>`,
+};
+
+describe('Worker Pool', () => {
+  let pool;
+
+  beforeEach(() => {
+    clearCache();
+    pool = createWorkerPool({ size: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.destroy();
+  });
+
+  it('should produce the same modules as the main thread', async () => {
+    const options = { production: { removeHandshake: false } };
+    const entries = Object.entries(components);
+
+    const parallel = await Promise.all(
+      entries.map(([file, content]) => pool.processFile(content, file, options))
+    );
+    clearCache();
+    const serial = [];
+    for (const [file, content] of entries) {
+      serial.push(await processMorphFile(content, file, options));
+    }
+
+    expect(pool.workers.length).toBe(2);
+    parallel.forEach((result, index) => {
+      expect(result.code).toBe(serial[index].code);
+      expect(result.map).toEqual(serial[index].map);
+      expect(result.componentsCSS).toEqual(serial[index].componentsCSS);
+      expect(result.isCSSOnly).toBe(serial[index].isCSSOnly);
+    });
+  });
+
+  it('should restore processing errors as MorphPluginError', async () => {
+    const result = await pool.processFile(
+      `<div>{{ title }}</div>
+<script>const a = 1;</script>
+<script type="text/typescript">const b: number = 2;</script>`,
+      'Broken.morph',
+      {}
+    );
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toBeInstanceOf(Error);
+    expect(result.errors[0].name).toBe('MorphPluginError');
+    expect(result.errors[0].code).toBe('SCRIPT_ERROR');
+    expect(result.errors[0].filePath).toBe('Broken.morph');
+  });
+
+  it('should reject running and queued files when destroyed', async () => {
+    const single = createWorkerPool({ size: 1 });
+    const files = [
+      single.processFile(components['Button.morph'], 'A.morph', {}),
+      single.processFile(components['Card.morph'], 'B.morph', {}),
+    ].map((promise) => promise.catch((error) => error));
+
+    await single.destroy();
+    const [running, queued] = await Promise.all(files);
+
+    expect(running.message).toBe('Worker pool was destroyed');
+    expect(queued.message).toBe('Worker pool was destroyed');
+    expect(single.workers).toHaveLength(0);
+  });
+
+  it('should reject the file of a worker that exits and keep dispatching', async () => {
+    // Exits on the first file, the replacement worker does the same
+    const exiting = createWorkerPool({
+      size: 1,
+      workerUrl: new URL(
+        "data:text/javascript,import { parentPort } from 'worker_threads'; parentPort.on('message', () => process.exit(3));"
+      ),
+    });
+    const files = [
+      exiting.processFile(components['Button.morph'], 'A.morph', {}),
+      exiting.processFile(components['Card.morph'], 'B.morph', {}),
+    ].map((promise) => promise.catch((error) => error));
+
+    const [first, second] = await Promise.all(files);
+    await exiting.destroy();
+
+    expect(first.message).toBe('Morph worker exited with code 3');
+    expect(second.message).toBe('Morph worker exited with code 3');
+  });
+
+  it('should only send cloneable Vite settings to workers', () => {
+    const viteConfig = {
+      root: '/project',
+      mode: 'production',
+      command: 'build',
+      plugins: [{ name: 'x', transform() {} }],
+      css: { preprocessorOptions: { scss: { additionalData: '$a: 1;' } } },
+      resolve: { alias: [{ find: /^@\//, replacement: '/project/src/' }] },
+    };
+
+    expect(getWorkerViteConfig(viteConfig)).toEqual({
+      root: '/project',
+      mode: 'production',
+      command: 'build',
+      css: { preprocessorOptions: { scss: { additionalData: '$a: 1;' } } },
+      resolve: { alias: [{ find: /^@\//, replacement: '/project/src/' }] },
+    });
+    viteConfig.css.preprocessorOptions.scss.importer = () => null;
+    expect(getWorkerViteConfig(viteConfig)).toBeNull();
+  });
+
+  it('should validate parallel options', () => {
+    expect(() =>
+      validateConfig(loadConfig({ parallel: { enabled: 'yes' } }))
+    ).toThrow(/parallel\.enabled must be a boolean/);
+    expect(() =>
+      validateConfig(loadConfig({ parallel: { enabled: true, workers: 1.5 } }))
+    ).toThrow(/parallel\.workers must be a positive integer/);
+    expect(() =>
+      validateConfig(loadConfig({ parallel: { enabled: true, workers: 4 } }))
+    ).not.toThrow();
+  });
+});